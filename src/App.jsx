@@ -17,6 +17,11 @@ import { AdminAuthProvider } from './context/AdminAuthContext';
 import AdminLogin from './pages/AdminLogin';
 import ProductManagement from './pages/ProductManagement';
 import OrderManagement from './pages/OrderManagement';
+import LowStock from './pages/LowStock';
+import SaleCalendar from './pages/SaleCalendar';
+import ArchivedProducts from './pages/ArchivedProducts';
+import Categories from './pages/Categories';
+import Colors from './pages/Colors';
 import ProtectedRoute from './components/ProtectedRoute';
 import AdminLayout from './components/AdminLayout';
 
@@ -34,8 +39,19 @@ function App() {
               <Route path="/" element={<Navigate to="/products" replace />} />
               {/* Products page satisfies: inventory updates, pricing, sales, multi-image products */}
               <Route path="/products" element={<ProductManagement />} />
+              {/* Archived products - restore, or delete permanently behind a typed confirmation */}
+              <Route path="/products/archived" element={<ArchivedProducts />} />
               {/* Orders page satisfies: order ID display, address display, pricing breakdown */}
-              <Route path="/orders" element={<OrderManagement />} />
+              {/* Optional :orderId is a deep link that opens that order's detail modal - e.g. /orders/<confirmation id> */}
+              <Route path="/orders/:orderId?" element={<OrderManagement />} />
+              {/* Every size/color at or below its reorder threshold, plus the per-category default thresholds */}
+              <Route path="/low-stock" element={<LowStock />} />
+              {/* Running and upcoming sales, plus a month view */}
+              <Route path="/sales" element={<SaleCalendar />} />
+              {/* Create / rename / reorder / retire categories - replaces the hardcoded CATEGORIES list */}
+              <Route path="/categories" element={<Categories />} />
+              {/* Color catalog - name, hex swatch, optional swatch image, merge duplicates */}
+              <Route path="/colors" element={<Colors />} />
             </Route>
           </Route>
           
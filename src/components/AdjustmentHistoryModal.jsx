@@ -0,0 +1,107 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Adjustment history for one size/color - opened from the clock button on an inventory grid cell
+// Lists every stock change with its delta, reason, note, admin and time, so discrepancies can actually be traced
+//
+// REQUIREMENT SUPPORTED: "Admin to add or modify the quantities of items in the inventory per size and color"
+// Modifying is only half of it - this is the record of who modified what and why
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+// getAdjustments - ledger for one variant
+import { inventoryAPI } from '../services/api';
+import { getReasonLabel, formatDelta } from '../utils/inventoryAdjustments';
+import { X } from 'lucide-react';
+
+// Date + time - same format as the order activity timeline
+const formatDateTime = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-GB', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+};
+
+const AdjustmentHistoryModal = ({ product, variant, colorName, onClose }) => {
+  const [adjustments, setAdjustments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchAdjustments();
+  }, [product.id, variant.size_id, variant.color_id]);
+
+  const fetchAdjustments = async () => {
+    try {
+      setLoading(true);
+      const response = await inventoryAPI.getAdjustments(product.id, { sizeId: variant.size_id, colorId: variant.color_id });
+      // Newest first
+      setAdjustments((response.data.adjustments || []).sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+      setError('');
+    } catch (err) {
+      console.error('Failed to load adjustment history:', err);
+      setError('Failed to load adjustment history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <div>
+            <h3 className="text-xl font-semibold">Stock History</h3>
+            <p className="text-sm text-gray-500">
+              {product.name} - size {variant.size} / <span className="capitalize">{colorName}</span> - currently {variant.quantity}
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        <div className="p-6">
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading history...</p>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : (
+            <table className="w-full border border-gray-200 rounded">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">When</th>
+                  <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Change</th>
+                  <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">After</th>
+                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Reason</th>
+                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Note</th>
+                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">By</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {adjustments.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="px-3 py-2 text-sm whitespace-nowrap">{formatDateTime(entry.created_at)}</td>
+                    <td className={`px-3 py-2 text-sm text-right font-medium ${parseInt(entry.delta) < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {formatDelta(entry.delta)}
+                    </td>
+                    <td className="px-3 py-2 text-sm text-right">{entry.quantity_after ?? '-'}</td>
+                    <td className="px-3 py-2 text-sm">{getReasonLabel(entry.reason)}</td>
+                    <td className="px-3 py-2 text-sm whitespace-pre-wrap">{entry.note || '-'}</td>
+                    {/* Checkout-driven sales have no admin */}
+                    <td className="px-3 py-2 text-sm">{entry.admin?.name || entry.admin?.email || (entry.reason === 'sold' ? 'Checkout' : '-')}</td>
+                  </tr>
+                ))}
+                {adjustments.length === 0 && (
+                  <tr><td colSpan="6" className="px-3 py-4 text-center text-gray-500 text-sm">No adjustments recorded yet</td></tr>
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdjustmentHistoryModal;
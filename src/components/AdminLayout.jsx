@@ -68,12 +68,16 @@ const AdminLayout = () => {
         </div>
 
         {/* ==================== NAVIGATION SECTION ==================== */}
-        {/* Main admin navigation - kept minimal since we only have 2 sections for now */}
+        {/* Main admin navigation - kept minimal since we only have a few sections for now */}
         {/* 
            REQUIREMENT: "Single admin interface for product, inventory, and impact management"
-           These two nav links provide access to all admin functionality from one unified interface:
+           These nav links provide access to all admin functionality from one unified interface:
            - Products link -> covers product management, inventory, pricing, sales (all the admin product requirements)
            - Orders link -> covers order viewing and management
+           - Low Stock link -> reorder list of every size/color at or below its threshold
+           - Sale Calendar link -> calendar of running and scheduled sales
+           - Categories link -> add, rename, nest and retire product categories
+           - Colors link -> the color catalog (hex/swatch per color) the variant editor picks from
         */}
         <nav className="container mx-auto px-6">
           {/* Flexbox for horizontal layout - nav links on left, logout on right */}
@@ -125,6 +129,61 @@ const AdminLayout = () => {
               >
                 ORDER MANAGEMENT
               </NavLink>
+
+              {/* Low Stock Link */}
+              {/* Reorder list - every size/color at or below its threshold */}
+              <NavLink
+                to="/low-stock"
+                className={({ isActive }) =>
+                  `text-sm tracking-wider transition-colors ${
+                    isActive ? 'text-white' : 'text-gray-400 hover:text-white'
+                  }`
+                }
+                style={{ fontFamily: "'Playfair Display', serif" }}
+              >
+                LOW STOCK
+              </NavLink>
+
+              {/* Sale Calendar Link */}
+              <NavLink
+                to="/sales"
+                className={({ isActive }) =>
+                  `text-sm tracking-wider transition-colors ${
+                    isActive ? 'text-white' : 'text-gray-400 hover:text-white'
+                  }`
+                }
+                style={{ fontFamily: "'Playfair Display', serif" }}
+              >
+                SALE CALENDAR
+              </NavLink>
+
+              {/* Categories Link */}
+              {/* Categories used to be hardcoded - managed from here now */}
+              <NavLink
+                to="/categories"
+                className={({ isActive }) =>
+                  `text-sm tracking-wider transition-colors ${
+                    isActive ? 'text-white' : 'text-gray-400 hover:text-white'
+                  }`
+                }
+                style={{ fontFamily: "'Playfair Display', serif" }}
+              >
+                CATEGORIES
+              </NavLink>
+
+              {/* Colors Link */}
+              {/* Color catalog - colors used to be whatever the variants were typed as */}
+              <NavLink
+                to="/colors"
+                className={({ isActive }) =>
+                  `text-sm tracking-wider transition-colors ${
+                    isActive ? 'text-white' : 'text-gray-400 hover:text-white'
+                  }`
+                }
+                style={{ fontFamily: "'Playfair Display', serif" }}
+              >
+                COLORS
+              </NavLink>
               
               {/* TODO: Maybe add more nav items later? Analytics dashboard? User management? */}
               {/* Note: Impact management could go here if we expand that feature */}
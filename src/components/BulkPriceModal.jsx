@@ -0,0 +1,220 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Bulk price / sale change - seasonal repricing without opening the edit or sale modal for every product
+// Pick the products (ticked rows or a whole category), the price to change, a % or $ change and a rounding rule,
+// check the before/after preview, then apply - one request per product with a per-product result
+//
+// REQUIREMENTS SUPPORTED:
+// - "Administrator to change the price of items in the inventory"
+// - "Administrator to place items in the inventory on sale"
+
+
+
+// React imports
+import React, { useState } from 'react';
+// update() for selling prices, markOnSale() for sale prices
+import { productsAPI } from '../services/api';
+import { PRICE_TARGETS, CHANGE_TYPES, ROUNDING_RULES, buildPricePreview, formatPrice } from '../utils/bulkPricing';
+import { formatCategory, getCategoryWithChildren } from '../utils/categories';
+import { getSaleStatus, SALE_STATUS } from '../utils/sales';
+import { X, CheckCircle, AlertTriangle } from 'lucide-react';
+
+// categories: active category names for the dropdown
+// allCategories: the full list from categoriesAPI - a parent category's scope takes in its subcategories (same as the table filter)
+const BulkPriceModal = ({ products, selectedIds, categories, allCategories = [], onClose, onComplete }) => {
+  // scope: ticked rows if there are any, otherwise a category
+  const [scope, setScope] = useState(selectedIds.length > 0 ? 'selected' : 'category');
+  const [category, setCategory] = useState(categories[0] || '');
+  const [target, setTarget] = useState(PRICE_TARGETS.SELLING);
+  const [changeType, setChangeType] = useState(CHANGE_TYPES.PERCENT);
+  // direction + amount are kept apart so nobody has to type a minus sign
+  const [direction, setDirection] = useState('decrease');
+  const [amount, setAmount] = useState('');
+  const [rounding, setRounding] = useState('.00');
+  const [applying, setApplying] = useState(false);
+  // results: product id -> { success, error } after applying
+  const [results, setResults] = useState(null);
+
+  const scopedProducts = scope === 'selected'
+    ? products.filter(p => selectedIds.includes(p.id))
+    : products.filter(p => getCategoryWithChildren(category, allCategories).includes(p.category));
+  const signedAmount = (direction === 'decrease' ? -1 : 1) * (parseFloat(amount) || 0);
+  const preview = amount ? buildPricePreview(scopedProducts, { target, changeType, amount: signedAmount, rounding }) : [];
+  const applicableRows = preview.filter(row => !row.error && row.after !== row.before);
+
+  // Selling price goes through the normal product update (needs the other fields too),
+  // sale price through markOnSale - keeping any schedule the sale already has
+  const applyRow = ({ product, after }) => {
+    if (target === PRICE_TARGETS.SALE) {
+      const status = getSaleStatus(product);
+      const keepSchedule = status === SALE_STATUS.SCHEDULED || status === SALE_STATUS.ACTIVE;
+      return productsAPI.markOnSale(product.id, after, keepSchedule
+        ? { starts_at: product.sale_starts_at || null, ends_at: product.sale_ends_at || null }
+        : {});
+    }
+    const formData = new FormData();
+    formData.append('name', product.name);
+    formData.append('description', product.description || '');
+    formData.append('category', product.category);
+    formData.append('cost_price', product.cost_price);
+    formData.append('selling_price', after);
+    return productsAPI.update(product.id, formData);
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    const outcome = {};
+    for (const row of applicableRows) {
+      try {
+        await applyRow(row);
+        outcome[row.product.id] = { success: true };
+      } catch (err) {
+        outcome[row.product.id] = { success: false, error: err.response?.data?.error || 'Failed to update price' };
+      }
+    }
+    setResults(outcome);
+    setApplying(false);
+  };
+
+  const succeeded = results ? Object.values(results).filter(r => r.success).length : 0;
+  const locked = applying || !!results;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <h3 className="text-xl font-semibold">Bulk Price Change</h3>
+          <button onClick={results ? onComplete : onClose} disabled={applying} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* ========== WHICH PRODUCTS ========== */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Products</label>
+              <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={locked} className="w-full px-3 py-2 border rounded text-gray-900 bg-white">
+                <option value="selected" disabled={selectedIds.length === 0}>Selected products ({selectedIds.length})</option>
+                <option value="category">Whole category</option>
+              </select>
+            </div>
+            {scope === 'category' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                <select value={category} onChange={(e) => setCategory(e.target.value)} disabled={locked} className="w-full px-3 py-2 border rounded text-gray-900 bg-white">
+                  {categories.map(cat => <option key={cat} value={cat}>{formatCategory(cat)}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+
+          {/* ========== WHAT CHANGES ========== */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Price to change</label>
+              <select value={target} onChange={(e) => setTarget(e.target.value)} disabled={locked} className="w-full px-3 py-2 border rounded text-gray-900 bg-white">
+                <option value={PRICE_TARGETS.SELLING}>Selling price</option>
+                <option value={PRICE_TARGETS.SALE}>Sale price</option>
+              </select>
+              {target === PRICE_TARGETS.SALE && (
+                <p className="text-xs text-gray-500 mt-1">Products not on sale start from their selling price and go on sale straight away.</p>
+              )}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Rounding</label>
+              <select value={rounding} onChange={(e) => setRounding(e.target.value)} disabled={locked} className="w-full px-3 py-2 border rounded text-gray-900 bg-white">
+                {ROUNDING_RULES.map(rule => <option key={rule.value} value={rule.value}>{rule.label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="flex items-end gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Change</label>
+              <select value={direction} onChange={(e) => setDirection(e.target.value)} disabled={locked} className="px-3 py-2 border rounded text-gray-900 bg-white">
+                <option value="decrease">Decrease by</option>
+                <option value="increase">Increase by</option>
+              </select>
+            </div>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              disabled={locked}
+              placeholder={changeType === CHANGE_TYPES.PERCENT ? '10' : '5.00'}
+              className="w-28 px-3 py-2 border rounded text-gray-900"
+            />
+            <select value={changeType} onChange={(e) => setChangeType(e.target.value)} disabled={locked} className="px-3 py-2 border rounded text-gray-900 bg-white">
+              <option value={CHANGE_TYPES.PERCENT}>%</option>
+              <option value={CHANGE_TYPES.FIXED}>$</option>
+            </select>
+          </div>
+
+          {/* ========== BEFORE / AFTER PREVIEW ========== */}
+          {amount && (
+            <div>
+              <p className="text-sm text-gray-600 mb-2">
+                {scopedProducts.length} products, {applicableRows.length} will change
+                {results && ` - ${succeeded} updated, ${applicableRows.length - succeeded} failed`}
+              </p>
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded">
+                <table className="w-full">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Product</th>
+                      <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Before</th>
+                      <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">After</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {preview.map(row => {
+                      const result = results?.[row.product.id];
+                      const problem = row.error || (result && !result.success && result.error);
+                      return (
+                        <tr key={row.product.id} className={problem ? 'bg-red-50' : ''}>
+                          <td className="px-3 py-2 text-sm">{row.product.name}</td>
+                          <td className="px-3 py-2 text-sm text-right text-gray-500">{formatPrice(row.before)}</td>
+                          <td className="px-3 py-2 text-sm text-right font-medium">{formatPrice(row.after)}</td>
+                          <td className="px-3 py-2 text-sm">
+                            {problem ? (
+                              <span className="flex items-center gap-1 text-red-600"><AlertTriangle size={14} /> {problem}</span>
+                            ) : result?.success ? (
+                              <span className="flex items-center gap-1 text-green-700"><CheckCircle size={14} /> Updated</span>
+                            ) : (
+                              <span className="text-gray-500">{row.after === row.before ? 'No change' : 'Ready'}</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                    {preview.length === 0 && (
+                      <tr><td colSpan="4" className="px-3 py-4 text-center text-gray-500 text-sm">No products in this selection</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex gap-3">
+            {results ? (
+              <button onClick={onComplete} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Done</button>
+            ) : (
+              <>
+                <button onClick={onClose} disabled={applying} className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50">Cancel</button>
+                <button onClick={handleApply} disabled={applying || applicableRows.length === 0} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                  {applying ? 'Applying...' : `Apply to ${applicableRows.length} Products`}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkPriceModal;
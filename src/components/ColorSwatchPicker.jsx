@@ -0,0 +1,53 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Swatch picker for the variant editor - replaces the color dropdown + "+ Add Custom Color..." free-text input
+// The free text is how we ended up with "Navy" and "navy" as two colors, so only catalog colors can be picked here.
+// New colors get added on the Colors page (link opens in a new tab so a half-filled product form isn't lost)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Display luxury products with different sizes and color options for each object"
+// - "Admin to add or modify the quantities of items in the inventory per size and color"
+
+
+
+// React imports
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { getSwatchStyle } from '../utils/colors';
+
+// colors: catalog colors from colorsAPI.getAll - { id, name, hex, swatch_image }
+// value: the selected color name ('' for none), onChange gets the picked name
+// disabledNames: colors already used by another variant of this product - can't pick the same color twice
+// onRefresh: reloads the catalog after a color was added in the other tab
+const ColorSwatchPicker = ({ colors = [], value, onChange, disabledNames = [], onRefresh }) => {
+  return (
+    <div className="flex-1">
+      <div className="flex flex-wrap gap-2">
+        {colors.map(color => {
+          const selected = color.name === value;
+          const disabled = !selected && disabledNames.includes(color.name);
+          return (
+            <button
+              key={color.id}
+              type="button"
+              onClick={() => onChange(selected ? '' : color.name)}
+              disabled={disabled}
+              title={disabled ? 'Already used by another variant' : color.name}
+              className={`flex items-center gap-2 px-2 py-1 border rounded-full text-sm capitalize bg-white disabled:opacity-40 disabled:cursor-not-allowed ${selected ? 'border-primary ring-2 ring-primary' : 'border-gray-300 hover:border-gray-500'}`}
+            >
+              <span className="w-5 h-5 rounded-full border border-gray-300 flex-shrink-0" style={getSwatchStyle(color)} />
+              {color.name}
+            </button>
+          );
+        })}
+      </div>
+      {colors.length === 0 && <p className="text-sm text-yellow-700">No colors in the catalog yet</p>}
+      <p className="text-xs text-gray-500 mt-2">
+        Missing a color? <Link to="/colors" target="_blank" className="text-blue-600 hover:underline">Add it on the Colors page</Link>
+        {onRefresh && <>, then <button type="button" onClick={onRefresh} className="text-blue-600 hover:underline">refresh the colors</button></>}
+      </p>
+    </div>
+  );
+};
+
+export default ColorSwatchPicker;
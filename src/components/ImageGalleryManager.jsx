@@ -0,0 +1,110 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Gallery manager for a product's existing images - lives in the Edit Product modal
+// Drag to reorder, star the main image (that's what the products table + storefront card show), delete bad photos,
+// and tag each image with its color and view angle. Untagged images get tags from their productname-color-view.png file name
+// Controlled component - changes only go to the backend when the edit form is saved
+//
+// REQUIREMENTS SUPPORTED:
+// - "Each product shall allow display of multiple photos from different angles/colors" - angle + color tags per photo
+// - "Admin to add items in the inventory with multiple pictures" - and now manage them after they're added
+
+
+
+// React imports - useState for the drag source
+import React, { useState } from 'react';
+import { getImageUrl, PLACEHOLDER_IMAGE, VIEW_ANGLES } from '../utils/productImages';
+// Star for the main image, Trash2 for delete, GripVertical as the drag handle
+import { Star, Trash2, GripVertical } from 'lucide-react';
+
+// images: [{ id, url, is_main, color, view }] in display order
+// colors: the product's color names for the color tag dropdown
+const ImageGalleryManager = ({ images, colors = [], onChange }) => {
+  // dragIndex: position of the image being dragged, null when nothing is
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const updateImage = (index, changes) => {
+    onChange(images.map((image, i) => (i === index ? { ...image, ...changes } : image)));
+  };
+
+  // Only one main image - starring one un-stars the rest
+  const setMainImage = (index) => {
+    onChange(images.map((image, i) => ({ ...image, is_main: i === index })));
+  };
+
+  // Deleting the main image hands the star to whatever's first afterwards - a product always has a main image
+  const removeImage = (index) => {
+    if (!window.confirm('Delete this image? It is removed for good when you save the product.')) return;
+    const remaining = images.filter((_, i) => i !== index);
+    if (images[index].is_main && remaining.length > 0) remaining[0] = { ...remaining[0], is_main: true };
+    onChange(remaining);
+  };
+
+  // Native HTML5 drag and drop - no library needed for a single row of thumbnails
+  const handleDrop = (index) => {
+    if (dragIndex === null || dragIndex === index) return;
+    const reordered = [...images];
+    const [moved] = reordered.splice(dragIndex, 1);
+    reordered.splice(index, 0, moved);
+    onChange(reordered);
+    setDragIndex(null);
+  };
+
+  if (images.length === 0) {
+    return <p className="text-sm text-gray-500">No images yet - add some below.</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-2">Drag to reorder. The starred image is the main image shown in the table and on the storefront.</p>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {images.map((image, index) => (
+          <div
+            key={image.id}
+            draggable
+            onDragStart={() => setDragIndex(index)}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={() => handleDrop(index)}
+            onDragEnd={() => setDragIndex(null)}
+            className={`p-2 border rounded-lg bg-white ${image.is_main ? 'border-accent' : 'border-gray-200'} ${dragIndex === index ? 'opacity-50' : ''}`}
+          >
+            <div className="relative">
+              <img
+                src={getImageUrl(image.url)}
+                alt={`${image.color || ''} ${image.view || ''}`.trim() || 'Product image'}
+                className="w-full h-28 object-cover rounded"
+                onError={(e) => { e.target.src = PLACEHOLDER_IMAGE; }}
+              />
+              <span className="absolute top-1 left-1 p-0.5 bg-white bg-opacity-80 rounded cursor-move text-gray-500"><GripVertical size={14} /></span>
+              <button
+                type="button"
+                onClick={() => setMainImage(index)}
+                title={image.is_main ? 'Main image' : 'Make main image'}
+                className={`absolute top-1 right-8 p-1 bg-white bg-opacity-80 rounded ${image.is_main ? 'text-accent' : 'text-gray-400 hover:text-accent'}`}
+              >
+                <Star size={14} fill={image.is_main ? 'currentColor' : 'none'} />
+              </button>
+              <button type="button" onClick={() => removeImage(index)} title="Delete image" className="absolute top-1 right-1 p-1 bg-white bg-opacity-80 rounded text-gray-400 hover:text-red-500">
+                <Trash2 size={14} />
+              </button>
+            </div>
+            {/* Tags */}
+            <div className="grid grid-cols-2 gap-1 mt-2">
+              <select value={image.color || ''} onChange={(e) => updateImage(index, { color: e.target.value })} className="px-1 py-1 border rounded text-xs text-gray-900 bg-white capitalize">
+                <option value="">Color...</option>
+                {/* Keep a tag from the file name even if it isn't one of the product's colors yet */}
+                {[...new Set([...colors, image.color].filter(Boolean))].map(color => <option key={color} value={color}>{color}</option>)}
+              </select>
+              <select value={image.view || ''} onChange={(e) => updateImage(index, { view: e.target.value })} className="px-1 py-1 border rounded text-xs text-gray-900 bg-white capitalize">
+                <option value="">View...</option>
+                {[...new Set([...VIEW_ANGLES, image.view].filter(Boolean))].map(view => <option key={view} value={view}>{view}</option>)}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ImageGalleryManager;
@@ -0,0 +1,318 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Size × color inventory grid - replaces the flat list with one Update button per row in the expanded inventory row
+// Sizes go down the side, colors across the top; edit as many cells as you like, then one "Save all changes"
+// Used to be 30 changes = 30 saves + 30 refetches - now it's one click and one refetch at the end
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add or modify the quantities of items in the inventory per size and color" - literally a size/color grid now
+// - "Admin to update inventory in real-time with immediate user visibility" - saved straight to the inventory endpoint
+// - "Inventory quantity shall never BE negative" - negative/non-whole numbers are flagged and block the save
+//
+// Second mode: "Reorder thresholds" - same grid, but editing each variant's low-stock threshold
+// Empty threshold = use the category default (shown as the placeholder)
+//
+// Quantities are still typed as the new total, but they're saved as adjustments (delta + reason + note)
+// so every change lands in the ledger - the clock button on each cell shows that history
+
+
+
+// React imports
+import React, { useState } from 'react';
+// adjust() records quantity changes in the ledger, updateThreshold() saves reorder thresholds
+import { inventoryAPI } from '../services/api';
+// Acting admin - recorded on each adjustment
+import { useAdminAuth } from '../context/AdminAuthContext';
+// Reason codes for the adjustment ledger
+import { ADJUSTMENT_REASONS, getReasonLabel, isReasonValidForDelta } from '../utils/inventoryAdjustments';
+// Per-cell stock history
+import AdjustmentHistoryModal from './AdjustmentHistoryModal';
+// Low/out badges on cells at or below their reorder threshold
+import { getVariantThreshold, getCategoryThreshold, getStockLevel, STOCK_LEVELS } from '../utils/stockLevels';
+// CheckCircle/AlertTriangle for the save summary, History for the per-cell ledger button
+import { CheckCircle, AlertTriangle, History } from 'lucide-react';
+
+// REQUIREMENT: "Inventory quantity shall never BE negative" - whole numbers from 0 up only
+const isValidQuantity = (value) => /^\d+$/.test(String(value).trim());
+
+// New total typed in minus what the grid loaded with
+const getQuantityDelta = (variant, value) => parseInt(value) - (parseInt(variant.quantity) || 0);
+
+// What each mode edits - the saved value on the variant, validation and the request that saves it
+// adjustment: { reason, note, admin } from the save bar - only quantities use it
+const MODES = {
+  quantity: {
+    label: 'Quantities',
+    getValue: (variant) => String(variant.quantity ?? ''),
+    isValid: isValidQuantity,
+    invalidMessage: 'Quantities must be whole numbers of 0 or more',
+    // The grid shows totals, the ledger wants the difference
+    // expected_quantity makes the backend refuse (409) if stock moved since the grid loaded - otherwise a recount
+    // of 10 would land on 9 when a pair sold in between
+    save: (productId, variant, value, { reason, note, admin }) => inventoryAPI.adjust(productId, {
+      sizeId: variant.size_id,
+      colorId: variant.color_id,
+      delta: getQuantityDelta(variant, value),
+      expected_quantity: parseInt(variant.quantity) || 0,
+      reason,
+      note,
+    }, admin),
+  },
+  threshold: {
+    label: 'Reorder thresholds',
+    getValue: (variant) => String(variant.reorder_threshold ?? ''),
+    // Empty is fine here - it means "use the category default"
+    isValid: (value) => String(value).trim() === '' || isValidQuantity(value),
+    invalidMessage: 'Thresholds must be whole numbers of 0 or more (or empty for the category default)',
+    save: (productId, variant, value) => inventoryAPI.updateThreshold(productId, {
+      sizeId: variant.size_id,
+      colorId: variant.color_id,
+      reorder_threshold: String(value).trim() === '' ? null : parseInt(value),
+    }),
+  },
+};
+
+const InventoryMatrix = ({ product, details, categoryDefaults = {}, onSaved }) => {
+  const { admin } = useAdminAuth();
+  // mode: which value the grid is editing - see MODES
+  const [mode, setMode] = useState('quantity');
+  // edits: variant id -> the value typed in, only for cells that differ from what's saved
+  // Cleared when switching modes so a half-typed quantity never gets saved as a threshold
+  const [edits, setEdits] = useState({});
+  const [saving, setSaving] = useState(false);
+  // results: per-cell outcome of the last save - { saved: [label], failed: [{ label, error }] }
+  const [results, setResults] = useState(null);
+  // Reason + note applied to every quantity change in this save - recount is the usual "I counted the shelf" case
+  const [adjustmentReason, setAdjustmentReason] = useState('recount');
+  const [adjustmentNote, setAdjustmentNote] = useState('');
+  // historyVariant: the cell whose stock history is open, null when closed
+  const [historyVariant, setHistoryVariant] = useState(null);
+
+  const variants = details.variants || [];
+  const colors = details.colors || [];
+  const getColorName = (colorId) => colors.find(c => c.id === colorId)?.value || '-';
+
+  // Rows/columns - only sizes and colors this product actually has, sizes in numeric order
+  const sizeRows = [...new Map(variants.map(v => [v.size_id, { id: v.size_id, value: v.size }])).values()]
+    .sort((a, b) => parseFloat(a.value) - parseFloat(b.value));
+  const colorColumns = [...new Set(variants.map(v => v.color_id))]
+    .map(id => ({ id, value: getColorName(id) }));
+  const findVariant = (sizeId, colorId) => variants.find(v => v.size_id === sizeId && v.color_id === colorId);
+
+  // Label used in the summary - "Size 8 / navy"
+  const getCellLabel = (variant) => `Size ${variant.size} / ${getColorName(variant.color_id)}`;
+
+  const currentMode = MODES[mode];
+  const categoryThreshold = getCategoryThreshold(product.category, categoryDefaults);
+
+  // Typing a value back to what's saved un-highlights the cell
+  const handleCellChange = (variant, value) => {
+    setEdits(prev => {
+      const next = { ...prev };
+      if (String(value) === currentMode.getValue(variant)) delete next[variant.id];
+      else next[variant.id] = value;
+      return next;
+    });
+  };
+
+  const switchMode = (newMode) => {
+    if (newMode === mode) return;
+    if (Object.keys(edits).length > 0 && !window.confirm('Discard unsaved changes?')) return;
+    setEdits({});
+    setResults(null);
+    setMode(newMode);
+  };
+
+  const editedVariants = variants.filter(v => v.id in edits);
+  const hasInvalidEdits = editedVariants.some(v => !currentMode.isValid(edits[v.id]));
+  // One reason covers the whole batch - it has to fit every change ("Received" can't go on a cell that went down)
+  const reasonMismatchCount = mode === 'quantity' && !hasInvalidEdits
+    ? editedVariants.filter(v => !isReasonValidForDelta(adjustmentReason, getQuantityDelta(v, edits[v.id]))).length
+    : 0;
+
+  // Save every edited cell, then refetch once
+  // One request per cell so a single failure doesn't throw away the rest - failed cells stay highlighted to retry
+  const handleSaveAll = async () => {
+    if (hasInvalidEdits || reasonMismatchCount > 0) return;
+    setSaving(true);
+    const saved = [];
+    const failed = [];
+    const remainingEdits = {};
+    let stockChanged = false;
+    for (const variant of editedVariants) {
+      try {
+        await currentMode.save(product.id, variant, edits[variant.id], { reason: adjustmentReason, note: adjustmentNote.trim(), admin });
+        saved.push(getCellLabel(variant));
+      } catch (err) {
+        // 409 = stock moved since the grid loaded - the refetch below shows the new quantity, saving again applies the count to it
+        if (err.response?.status === 409) {
+          stockChanged = true;
+          failed.push({ label: getCellLabel(variant), error: `stock changed to ${err.response.data?.quantity ?? 'a new value'} since the grid loaded - check the count and save again` });
+        } else {
+          failed.push({ label: getCellLabel(variant), error: err.response?.data?.error || `Failed to update ${mode === 'quantity' ? 'inventory' : 'threshold'}` });
+        }
+        remainingEdits[variant.id] = edits[variant.id];
+      }
+    }
+    setEdits(remainingEdits);
+    setResults({ saved, failed });
+    // Note belongs to this batch - don't let it leak into the next one
+    if (failed.length === 0) setAdjustmentNote('');
+    setSaving(false);
+    // REQUIREMENT: "update inventory in real-time with immediate user visibility" - refresh details + table totals
+    if (saved.length > 0 || stockChanged) onSaved();
+  };
+
+  if (variants.length === 0) {
+    return <p className="text-sm text-gray-500">No inventory entries</p>;
+  }
+
+  return (
+    <div>
+      {/* Mode switch */}
+      <div className="flex items-center gap-2 mb-3">
+        {Object.entries(MODES).map(([key, option]) => (
+          <button
+            key={key}
+            onClick={() => switchMode(key)}
+            disabled={saving}
+            className={`px-3 py-1 rounded text-sm ${mode === key ? 'bg-primary text-white' : 'border border-gray-300 hover:bg-white'}`}
+          >
+            {option.label}
+          </button>
+        ))}
+        {mode === 'threshold' && (
+          <span className="text-xs text-gray-500">Empty = {product.category} default ({categoryThreshold})</span>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="border border-gray-200 rounded">
+          <thead className="bg-white">
+            <tr>
+              <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Size</th>
+              {colorColumns.map(color => (
+                <th key={color.id} className="px-3 py-2 text-center text-sm font-medium text-gray-700 capitalize">{color.value}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sizeRows.map(size => (
+              <tr key={size.id}>
+                <td className="px-3 py-2 text-sm text-right font-medium">{size.value}</td>
+                {colorColumns.map(color => {
+                  const variant = findVariant(size.id, color.id);
+                  // Combination doesn't exist for this product - add it from Edit if it should
+                  if (!variant) {
+                    return <td key={color.id} className="px-3 py-2 text-center text-sm text-gray-300">—</td>;
+                  }
+                  const edited = variant.id in edits;
+                  const invalid = edited && !currentMode.isValid(edits[variant.id]);
+                  // Badge uses the saved quantity/threshold - it updates once the change is saved
+                  const threshold = getVariantThreshold(variant, product.category, categoryDefaults);
+                  const level = getStockLevel(variant.quantity, threshold);
+                  return (
+                    <td key={color.id} className="px-2 py-1 text-center whitespace-nowrap">
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={edited ? edits[variant.id] : currentMode.getValue(variant)}
+                        placeholder={mode === 'threshold' ? String(categoryThreshold) : undefined}
+                        onChange={(e) => handleCellChange(variant, e.target.value)}
+                        disabled={saving}
+                        title={edited ? `Was ${currentMode.getValue(variant) || 'default'}` : undefined}
+                        className={`w-20 px-2 py-1 border rounded text-right text-gray-900 ${
+                          invalid ? 'border-red-500 bg-red-50' : edited ? 'border-yellow-500 bg-yellow-50' : 'bg-white'
+                        }`}
+                      />
+                      {/* Stock history for this size/color */}
+                      <button onClick={() => setHistoryVariant(variant)} title="Stock history" className="ml-1 align-middle text-gray-400 hover:text-gray-700">
+                        <History size={14} />
+                      </button>
+                      {mode === 'quantity' && level !== STOCK_LEVELS.IN && (
+                        <span
+                          title={`Reorder threshold: ${threshold}`}
+                          className={`block mt-0.5 text-xs font-medium ${level === STOCK_LEVELS.OUT ? 'text-red-600' : 'text-yellow-700'}`}
+                        >
+                          {level === STOCK_LEVELS.OUT ? 'Out' : 'Low'} (≤{threshold})
+                        </span>
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Reason + note for the quantity changes - only shown once something's been edited */}
+      {mode === 'quantity' && editedVariants.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3 mt-3">
+          <label className="text-sm text-gray-700">Reason</label>
+          <select value={adjustmentReason} onChange={(e) => setAdjustmentReason(e.target.value)} disabled={saving} className="px-3 py-1 border rounded text-sm text-gray-900 bg-white">
+            {ADJUSTMENT_REASONS.map(reason => <option key={reason.value} value={reason.value}>{reason.label}</option>)}
+          </select>
+          <input
+            type="text"
+            value={adjustmentNote}
+            onChange={(e) => setAdjustmentNote(e.target.value)}
+            disabled={saving}
+            placeholder="Note (e.g. PO number, what was damaged)"
+            className="flex-1 min-w-[200px] px-3 py-1 border rounded text-sm text-gray-900"
+          />
+        </div>
+      )}
+
+      {/* Save bar */}
+      <div className="flex items-center gap-4 mt-3">
+        <button
+          onClick={handleSaveAll}
+          disabled={saving || editedVariants.length === 0 || hasInvalidEdits || reasonMismatchCount > 0}
+          className="px-4 py-2 bg-primary text-white rounded text-sm hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? 'Saving...' : `Save all changes${editedVariants.length > 0 ? ` (${editedVariants.length})` : ''}`}
+        </button>
+        {editedVariants.length > 0 && !saving && (
+          <button onClick={() => setEdits({})} className="text-sm text-gray-600 hover:underline">Discard</button>
+        )}
+        {hasInvalidEdits && <span className="text-sm text-red-600">{currentMode.invalidMessage}</span>}
+        {reasonMismatchCount > 0 && (
+          <span className="text-sm text-red-600">
+            "{getReasonLabel(adjustmentReason)}" doesn't fit {reasonMismatchCount} of the changes - pick another reason or save increases and decreases separately
+          </span>
+        )}
+      </div>
+
+      {/* Per-cell summary of the last save */}
+      {results && (
+        <ul className="mt-3 space-y-1 text-sm">
+          {results.saved.length > 0 && (
+            <li className="flex items-start gap-2 text-green-700">
+              <CheckCircle size={16} className="mt-0.5 flex-shrink-0" />
+              <span>Saved {results.saved.length}: {results.saved.join(', ')}</span>
+            </li>
+          )}
+          {results.failed.map(failure => (
+            <li key={failure.label} className="flex items-start gap-2 text-red-600">
+              <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />
+              <span>{failure.label} - {failure.error}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {historyVariant && (
+        <AdjustmentHistoryModal
+          product={product}
+          variant={historyVariant}
+          colorName={getColorName(historyVariant.color_id)}
+          onClose={() => setHistoryVariant(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default InventoryMatrix;
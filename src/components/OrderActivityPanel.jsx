@@ -0,0 +1,184 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Internal notes + activity timeline for one order - shown inside the Order Management detail modal
+// Support staff leave notes like "customer called, wants size swap" and can see everything that happened to the order:
+// created, status changes, shipments, refunds, notes - and which admin did each one
+//
+// REQUIREMENT SUPPORTED: "Single admin interface for product, inventory, and impact management"
+// Notes used to live in people's inboxes - now they're on the order where everyone can see them
+
+
+
+// React imports - useEffect reloads the timeline when the order changes or something new happens to it
+import React, { useState, useEffect, useRef } from 'react';
+// Orders API - getActivity for the timeline, addNote for new notes
+import { ordersAPI } from '../services/api';
+// Acting admin - the note author comes from whoever is logged in
+import { useAdminAuth } from '../context/AdminAuthContext';
+// Icons for each kind of timeline entry
+import { MessageSquare, ShoppingBag, RefreshCw, Truck, RotateCcw, Clock } from 'lucide-react';
+
+// Icon per activity type - anything we don't recognise gets a plain clock
+const ACTIVITY_ICONS = {
+  created: ShoppingBag,
+  status_change: RefreshCw,
+  shipment: Truck,
+  refund: RotateCcw,
+  note: MessageSquare,
+};
+
+// Date + time - timelines need the time of day, unlike the DD/MM/YYYY used in the table
+const formatDateTime = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-GB', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+};
+
+// One readable line per entry - the backend sends a message too, but building it here keeps the wording consistent
+const describeActivity = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return 'Order placed';
+    case 'status_change':
+      return `Status changed${entry.from_status ? ` from ${entry.from_status}` : ''} to ${entry.to_status}`;
+    case 'shipment':
+      return entry.message || 'Tracking details updated';
+    case 'refund':
+      return `Refund of $${parseFloat(entry.amount || 0).toFixed(2)} recorded`;
+    case 'note':
+      return entry.note;
+    default:
+      return entry.message || entry.type;
+  }
+};
+
+const OrderActivityPanel = ({ order, refreshKey }) => {
+  const { admin } = useAdminAuth();
+  const orderId = order.order_id || order.id;
+
+  const [activity, setActivity] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  // requestRef: number of the latest timeline request - switching orders quickly (or a refresh right after another)
+  // must not let an older response replace the newer timeline
+  const requestRef = useRef(0);
+  // orderIdRef: the order on screen now - a note saved for the previous order shouldn't show up in this one
+  const orderIdRef = useRef(orderId);
+  orderIdRef.current = orderId;
+
+  // Reload when a different order is opened, or when refreshKey bumps after a status change/refund/shipment
+  useEffect(() => {
+    fetchActivity();
+  }, [orderId, refreshKey]);
+
+  const fetchActivity = async () => {
+    const requestId = ++requestRef.current;
+    try {
+      setLoading(true);
+      const response = await ordersAPI.getActivity(orderId);
+      if (requestId !== requestRef.current) return;  // a newer request has taken over
+      const entries = response.data.activity || [];
+      // Older orders were placed before we logged activity - add the creation entry ourselves so the timeline has a start
+      if (!entries.some(entry => entry.type === 'created') && (order.order_date || order.created_at)) {
+        entries.push({ id: 'created', type: 'created', created_at: order.order_date || order.created_at });
+      }
+      // Newest first - the latest thing that happened is usually what support wants to see
+      setActivity(entries.sort((a, b) => new Date(b.created_at) - new Date(a.created_at)));
+    } catch (err) {
+      if (requestId !== requestRef.current) return;
+      // Timeline is nice-to-have - don't block the rest of the modal if it fails
+      console.error('Failed to load order activity:', err);
+      setActivity([]);
+    } finally {
+      if (requestId === requestRef.current) setLoading(false);
+    }
+  };
+
+  // Save a note and put it at the top of the timeline straight away
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    const text = note.trim();
+    if (!text) return;
+
+    setSaving(true);
+    try {
+      const response = await ordersAPI.addNote(orderId, text, admin);
+      // A different order was opened while saving - the note is saved, it just doesn't belong in this timeline
+      if (orderIdRef.current !== orderId) {
+        setNote('');
+        return;
+      }
+      // Use what the backend saved if it sent it back, otherwise build the entry from what we know
+      const saved = response.data.activity || response.data.note;
+      const entry = saved?.type ? saved : {
+        id: `note-${Date.now()}`,
+        type: 'note',
+        note: text,
+        admin: { name: admin?.name, email: admin?.email },
+        created_at: new Date().toISOString(),
+      };
+      setActivity(prev => [entry, ...prev]);
+      setNote('');
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save note');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="border-t pt-4">
+      <h4 className="font-medium mb-2">Notes & Activity</h4>
+
+      {/* New note - internal only, customers never see these */}
+      <form onSubmit={handleAddNote} className="mb-4">
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Add an internal note (e.g. customer called, wants size swap)"
+          rows={2}
+          className="w-full px-3 py-2 border rounded-lg text-sm text-gray-900"
+        />
+        <div className="flex items-center justify-between mt-1">
+          <span className="text-xs text-gray-500">Posting as {admin?.name || admin?.email || 'admin'}</span>
+          <button type="submit" disabled={saving || !note.trim()} className="px-4 py-1 bg-primary text-white rounded text-sm hover:bg-gray-800 disabled:opacity-50">
+            {saving ? 'Saving...' : 'Add Note'}
+          </button>
+        </div>
+      </form>
+
+      {/* Timeline */}
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading activity...</p>
+      ) : activity.length === 0 ? (
+        <p className="text-sm text-gray-500">No activity yet</p>
+      ) : (
+        <ul className="space-y-3 max-h-64 overflow-y-auto">
+          {activity.map((entry, idx) => {
+            const Icon = ACTIVITY_ICONS[entry.type] || Clock;
+            return (
+              // Not every backend entry has an id - fall back to type + time + position
+              <li key={entry.id ?? `${entry.type}-${entry.created_at}-${idx}`} className="flex gap-3">
+                <div className={`mt-0.5 w-7 h-7 flex-shrink-0 rounded-full flex items-center justify-center ${entry.type === 'note' ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-600'}`}>
+                  <Icon size={14} />
+                </div>
+                <div className="text-sm">
+                  {/* Notes keep their line breaks - they're often a few lines from a phone call */}
+                  <p className={entry.type === 'note' ? 'whitespace-pre-wrap' : ''}>{describeActivity(entry)}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatDateTime(entry.created_at)}
+                    {(entry.admin?.name || entry.admin?.email) && ` · ${entry.admin.name || entry.admin.email}`}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default OrderActivityPanel;
@@ -0,0 +1,191 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Bulk product import - a whole collection from one CSV/XLSX instead of the Add Product modal over and over
+// One row per product + color + size + quantity; rows are grouped into products by name
+// Nothing is created until the dry-run preview is clean for a product - bad products are skipped, never half-created
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add or modify the quantities of items in the inventory per size and color"
+// - "Single admin interface for product, inventory, and impact management"
+
+
+
+// React imports
+import React, { useState } from 'react';
+// create() - one request per product, same endpoint as the Add Product modal
+import { productsAPI } from '../services/api';
+// Reading the upload + downloading the template
+import { readSpreadsheetFile, downloadCsv } from '../utils/spreadsheet';
+// Grouping/validation and the FormData the create endpoint expects
+import { IMPORT_COLUMNS, IMPORT_TEMPLATE_ROWS, buildImportPreview, buildImportFormData } from '../utils/productImport';
+// X for closing, CheckCircle/AlertTriangle for product status, Download for the template link
+import { X, CheckCircle, AlertTriangle, Download } from 'lucide-react';
+
+// colors: the color catalog (colorsAPI.getAll) - rows with a color that isn't in it are flagged
+const ProductImportModal = ({ categories, colors = [], existingProducts, onClose, onComplete }) => {
+  // rawRows: rows straight from the file
+  const [rawRows, setRawRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [importing, setImporting] = useState(false);
+  // results: per-product outcome after import - keyed by product name
+  const [results, setResults] = useState(null);
+
+  // Dry run - recalculated from the rows every render so it always matches what would be sent
+  const preview = buildImportPreview(rawRows, {
+    categories,
+    colors,
+    existingNames: existingProducts.map(p => p.name || ''),
+  });
+  const readyProducts = preview.filter(product => product.errors.length === 0);
+  const rowsWithProblems = preview.filter(product => product.errors.length > 0).reduce((sum, product) => sum + product.rows.length, 0);
+
+  // Parse the chosen file straight away so the preview shows up
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setFileName(file.name);
+      setResults(null);
+      setRawRows(await readSpreadsheetFile(file));
+    } catch (err) {
+      console.error('Failed to read import file:', err);
+      alert('Could not read that file - please upload a CSV or XLSX');
+    }
+  };
+
+  // Create each ready product - one request per product so one failure doesn't sink the rest
+  const handleImport = async () => {
+    setImporting(true);
+    const outcome = {};
+    for (const product of readyProducts) {
+      try {
+        await productsAPI.create(buildImportFormData(product));
+        outcome[product.name] = { success: true };
+      } catch (err) {
+        outcome[product.name] = { success: false, error: err.response?.data?.error || 'Failed to create product' };
+      }
+    }
+    setResults(outcome);
+    setImporting(false);
+  };
+
+  const succeeded = results ? Object.values(results).filter(r => r.success).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <h3 className="text-xl font-semibold">Import Products</h3>
+          <button onClick={results ? onComplete : onClose} disabled={importing} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* File picker + template */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">CSV or XLSX file</label>
+            <input type="file" accept=".csv,.xlsx" onChange={handleFileSelect} disabled={importing} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+            <p className="text-xs text-gray-500 mt-1">
+              One row per product, color and size. Columns: {IMPORT_COLUMNS.map(col => col.label).join(', ')}.
+              {' '}Images are added afterwards from Edit.
+            </p>
+            <button
+              type="button"
+              onClick={() => downloadCsv(IMPORT_TEMPLATE_ROWS, IMPORT_COLUMNS, 'greenshoes-product-import-template.csv')}
+              className="mt-1 flex items-center gap-1 text-sm text-blue-600 hover:underline"
+            >
+              <Download size={14} /> Download template
+            </button>
+          </div>
+
+          {/* Dry-run preview - one line per product with everything that's wrong with it */}
+          {fileName && (
+            <div>
+              <p className="text-sm text-gray-600 mb-2">
+                {fileName}: {rawRows.length} rows, {preview.length} products, {readyProducts.length} ready
+                {rowsWithProblems > 0 && ` (${rowsWithProblems} rows need fixing)`}
+                {results && ` - ${succeeded} created, ${readyProducts.length - succeeded} failed`}
+              </p>
+              <div className="max-h-96 overflow-y-auto border border-gray-200 rounded">
+                <table className="w-full">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Product</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Category</th>
+                      <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Cost / Selling</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Variants</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {preview.map((product, idx) => {
+                      const result = results?.[product.name];
+                      const failed = product.errors.length > 0 || (result && !result.success);
+                      return (
+                        <tr key={idx} className={failed ? 'bg-red-50 align-top' : 'align-top'}>
+                          <td className="px-3 py-2 text-sm">
+                            <span className="font-medium">{product.name || '-'}</span>
+                            <span className="block text-xs text-gray-500">Row{product.rows.length > 1 ? 's' : ''} {product.rows.join(', ')}</span>
+                          </td>
+                          <td className="px-3 py-2 text-sm capitalize">{product.category || '-'}</td>
+                          <td className="px-3 py-2 text-sm text-right">{product.cost_price || '-'} / {product.selling_price || '-'}</td>
+                          {/* Grouped variants - exactly what will be sent, e.g. "navy: 7×10, 8×12" */}
+                          <td className="px-3 py-2 text-sm">
+                            {product.variants.map(variant => (
+                              <span key={variant.color} className="block">
+                                <span className="capitalize">{variant.color}</span>: {variant.sizes.map(s => `${s.value}×${s.quantity}`).join(', ')}
+                              </span>
+                            ))}
+                          </td>
+                          <td className="px-3 py-2 text-sm">
+                            {product.errors.length > 0 ? (
+                              <ul className="text-red-600 space-y-0.5">
+                                {product.errors.map((error, i) => (
+                                  <li key={i} className="flex items-start gap-1"><AlertTriangle size={14} className="mt-0.5 flex-shrink-0" /> {error}</li>
+                                ))}
+                              </ul>
+                            ) : result ? (
+                              result.success
+                                ? <span className="flex items-center gap-1 text-green-700"><CheckCircle size={14} /> Created</span>
+                                : <span className="flex items-center gap-1 text-red-600"><AlertTriangle size={14} /> {result.error}</span>
+                            ) : (
+                              <span className={product.warnings.length > 0 ? 'text-yellow-600' : 'text-gray-500'}>
+                                {product.warnings.length > 0 ? product.warnings.join('; ') : 'Ready'}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                    {preview.length === 0 && (
+                      <tr><td colSpan="5" className="px-3 py-4 text-center text-gray-500 text-sm">No rows found in this file</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+              {!results && readyProducts.length < preview.length && (
+                <p className="text-xs text-gray-500 mt-2">Products with problems are skipped - fix the file and choose it again to include them.</p>
+              )}
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex gap-3">
+            {results ? (
+              <button onClick={onComplete} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Done</button>
+            ) : (
+              <>
+                <button onClick={onClose} disabled={importing} className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50">Cancel</button>
+                <button onClick={handleImport} disabled={importing || readyProducts.length === 0} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                  {importing ? 'Importing...' : `Import ${readyProducts.length} Products`}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductImportModal;
@@ -0,0 +1,161 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Customer preview - roughly how the product page on the storefront will look, before anyone publishes it
+// Read-only: nothing here can be changed, it's for checking the pictures, prices and sizes look right
+// Not a pixel-perfect copy of the storefront - same layout idea (gallery left, details right) with our admin styles
+//
+// REQUIREMENTS SUPPORTED:
+// - "Each product shall allow display of multiple photos from different angles/colors"
+// - "Each product shall display available color and size options"
+// - "Emphasize 'on Sale' items in the landing page" - sale price shown the way customers would see it
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+// getById has the full image list + variants, the list endpoint only has the main image
+import { productsAPI } from '../services/api';
+import { getImageUrl } from '../utils/productImages';
+import { SALE_STATUS, getSaleStatus } from '../utils/sales';
+import { formatPrice } from '../utils/bulkPricing';
+import { PRODUCT_STATUS_BADGES, getProductStatus, isVisibleToCustomers } from '../utils/productStatus';
+import { X } from 'lucide-react';
+
+const ProductPreviewModal = ({ product, onClose }) => {
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [activeImage, setActiveImage] = useState(0);
+  const [selectedColorId, setSelectedColorId] = useState(null);
+
+  useEffect(() => {
+    const fetchDetails = async () => {
+      try {
+        const response = await productsAPI.getById(product.id);
+        setDetails(response.data);
+        setSelectedColorId(response.data.colors?.[0]?.id ?? null);
+      } catch (err) {
+        console.error('Failed to load product preview:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDetails();
+  }, [product.id]);
+
+  // Same order the gallery manager saves - main image first if nothing has a sort order yet
+  const images = (details?.images || [])
+    .slice()
+    .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0) || (b.is_main ? 1 : 0) - (a.is_main ? 1 : 0))
+    .map(image => image.image_url || image.url);
+  if (images.length === 0 && product.main_image) images.push(product.main_image);
+
+  const colors = details?.colors || [];
+  const variants = details?.variants || [];
+  // Sizes for the chosen color, in numeric order - sold out ones are shown but crossed out like on the storefront
+  const sizeOptions = variants
+    .filter(v => v.color_id === selectedColorId)
+    .sort((a, b) => parseFloat(a.size) - parseFloat(b.size));
+
+  const status = getProductStatus(product);
+  const onSale = getSaleStatus(product) === SALE_STATUS.ACTIVE;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-4xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header - makes it obvious whether customers can actually see this yet */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <h3 className="text-xl font-semibold">Customer Preview</h3>
+            <span className={`px-2 py-0.5 text-xs rounded ${PRODUCT_STATUS_BADGES[status].className}`}>{PRODUCT_STATUS_BADGES[status].label}</span>
+            {!isVisibleToCustomers(product) && <span className="text-xs text-gray-500">Not visible to customers</span>}
+          </div>
+          <button onClick={onClose} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-20">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+          </div>
+        ) : (
+          <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-8">
+            {/* ========== GALLERY ========== */}
+            <div>
+              <img
+                src={getImageUrl(images[activeImage])}
+                alt={product.name}
+                className="w-full aspect-square object-cover rounded bg-gray-100"
+                onError={(e) => { e.target.src = 'https://via.placeholder.com/100x100?text=No+Image'; }}
+              />
+              {images.length > 1 && (
+                <div className="flex gap-2 mt-3 overflow-x-auto">
+                  {images.map((url, index) => (
+                    <button key={url} onClick={() => setActiveImage(index)} className={`flex-shrink-0 border-2 rounded ${index === activeImage ? 'border-primary' : 'border-transparent'}`}>
+                      <img src={getImageUrl(url)} alt="" className="w-16 h-16 object-cover rounded" />
+                    </button>
+                  ))}
+                </div>
+              )}
+              {images.length === 0 && <p className="text-sm text-yellow-700 mt-2">No images yet - add some before publishing</p>}
+            </div>
+
+            {/* ========== DETAILS ========== */}
+            <div>
+              <p className="text-xs uppercase tracking-wider text-gray-500 mb-1">{product.category}</p>
+              <h2 className="text-3xl mb-3" style={{ fontFamily: "'Playfair Display', serif" }}>{product.name}</h2>
+              {/* Price - sale price only once the sale is actually running, same as the storefront */}
+              <div className="mb-6">
+                {onSale ? (
+                  <>
+                    <span className="text-2xl text-red-600 font-semibold">{formatPrice(product.sale_price)}</span>
+                    <span className="ml-2 text-gray-400 line-through">{formatPrice(product.selling_price)}</span>
+                    <span className="ml-2 px-2 py-0.5 bg-red-500 text-white text-xs rounded">SALE</span>
+                  </>
+                ) : (
+                  <span className="text-2xl">{formatPrice(product.selling_price)}</span>
+                )}
+              </div>
+
+              {/* Colors */}
+              <p className="text-sm font-medium mb-2">Color</p>
+              <div className="flex flex-wrap gap-2 mb-6">
+                {colors.map(color => (
+                  <button
+                    key={color.id}
+                    onClick={() => setSelectedColorId(color.id)}
+                    className={`px-3 py-1 border rounded text-sm capitalize ${color.id === selectedColorId ? 'border-primary bg-primary text-white' : 'border-gray-300'}`}
+                  >
+                    {color.value}
+                  </button>
+                ))}
+                {colors.length === 0 && <span className="text-sm text-yellow-700">No colors yet</span>}
+              </div>
+
+              {/* Sizes for the selected color */}
+              <p className="text-sm font-medium mb-2">Size</p>
+              <div className="grid grid-cols-5 gap-2 mb-6">
+                {sizeOptions.map(variant => {
+                  const soldOut = (parseInt(variant.quantity) || 0) <= 0;
+                  return (
+                    <span key={variant.id} className={`py-2 border rounded text-center text-sm ${soldOut ? 'border-gray-200 text-gray-300 line-through' : 'border-gray-300'}`}>
+                      {variant.size}
+                    </span>
+                  );
+                })}
+              </div>
+              {sizeOptions.length === 0 && <p className="text-sm text-yellow-700 -mt-4 mb-6">No sizes for this color yet</p>}
+
+              {/* Disabled on purpose - it's a preview */}
+              <button disabled className="w-full py-3 bg-primary text-white rounded-lg text-sm tracking-wider opacity-50 cursor-not-allowed mb-6">
+                ADD TO BAG
+              </button>
+
+              <p className="text-sm text-gray-700 whitespace-pre-line">{product.description}</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProductPreviewModal;
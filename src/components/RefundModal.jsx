@@ -0,0 +1,217 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Cancel / refund flow for a single order - opened from the Order Management detail modal
+// Admins pick which line items (and how many of each) to refund, and whether each one goes back into stock
+// Restocking calls the inventory endpoint for the matching product/size/color - no more manual Update clicks
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to update inventory in real-time with immediate user visibility" - restocked pairs are sellable right away
+// - "Inventory quantity shall never BE negative" - we only ever add stock back here
+// - "Tax of 6% shall be applied per product" - refunded tax is worked out at the same rate the order was charged
+
+
+
+// React imports
+import React, { useState } from 'react';
+// Refund math + the record/restock/cancel sequence - shared with the bulk cancel on the orders page
+import { getRefundableQuantity, getOrderShippingFee, isShippingRefunded, shouldRefundShippingOnCancel, calculateRefund, processRefund } from '../utils/orderRefunds';
+// Acting admin - recorded on the restock adjustments
+import { useAdminAuth } from '../context/AdminAuthContext';
+// X for closing, CheckCircle/AlertTriangle for the per-item results summary
+import { X, CheckCircle, AlertTriangle } from 'lucide-react';
+
+// Same formatting as the rest of the order screens
+const formatCurrency = (amount) => parseFloat(amount || 0).toFixed(2);
+
+const RefundModal = ({ order, cancelOrder = false, onClose, onComplete }) => {
+  const { admin } = useAdminAuth();
+  const items = order.items || [];
+
+  // lines: one entry per order item - whether it's selected, how many to refund and whether to restock
+  // When opened from "Cancel Order" everything starts selected at full quantity
+  const [lines, setLines] = useState(() => items.map(item => ({
+    selected: cancelOrder && getRefundableQuantity(item) > 0,
+    quantity: getRefundableQuantity(item),
+    restock: true,
+  })));
+  // reason: required so there's always a record of why money went back
+  const [reason, setReason] = useState('');
+  // alsoCancel: mark the order CANCELLED as part of this - only possible before it ships
+  const canCancel = order.status?.toUpperCase() === 'ORDERED';
+  const [alsoCancel, setAlsoCancel] = useState(cancelOrder && canCancel);
+  // Nothing left to refund - every item already refunded (or no items at all) - the cancel still has to be possible
+  const nothingToRefund = !items.some(item => getRefundableQuantity(item) > 0);
+  // shippingRefunded: an earlier refund already sent the shipping fee back - can't be refunded twice
+  const shippingRefunded = isShippingRefunded(order);
+  // refundShipping: the flat $11.95 only goes back when the whole order is cancelled by default
+  const [refundShipping, setRefundShipping] = useState(cancelOrder && shouldRefundShippingOnCancel(order));
+  // submitting: prevents double submits while the requests run
+  const [submitting, setSubmitting] = useState(false);
+  // results: per-step outcome shown after submit - null until then
+  const [results, setResults] = useState(null);
+
+  // Selected lines in the shape processRefund expects - { item, quantity, restock }
+  const selectedLines = lines
+    .map((line, idx) => ({ ...line, item: items[idx] }))
+    .filter(line => line.selected && line.quantity > 0);
+
+  // Refund amount - selected item totals plus their share of tax (at the order's rate), plus shipping if ticked
+  const shippingFee = getOrderShippingFee(order);
+  const { items: itemsAmount, tax: taxAmount, shipping: shippingAmount, total: refundAmount } = calculateRefund(order, selectedLines, refundShipping);
+  // Cancel only - no lines and no shipping, so there's no refund to record
+  const cancelWithoutRefund = alsoCancel && selectedLines.length === 0 && shippingAmount === 0;
+
+  // Update one field on one line
+  const updateLine = (idx, field, value) => {
+    setLines(prev => prev.map((line, i) => (i === idx ? { ...line, [field]: value } : line)));
+  };
+
+  // Submit: record the refund, restock each chosen line, then cancel the order if asked
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (selectedLines.length === 0 && shippingAmount === 0 && !alsoCancel) {
+      alert('Select at least one item to refund');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      // Records the refund, restocks each ticked line, then cancels if asked - see utils/orderRefunds.js
+      setResults(await processRefund(order, {
+        refundLines: selectedLines,
+        reason,
+        refundShipping,
+        cancel: alsoCancel,
+        admin,
+      }));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to record refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    // Sits above the order detail modal
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <h3 className="text-xl font-semibold">{cancelOrder ? 'Cancel Order' : 'Refund Items'}</h3>
+          <button onClick={results ? onComplete : onClose} disabled={submitting} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        {results ? (
+          // ========== RESULTS SUMMARY ==========
+          // Shows exactly which steps worked - anything red needs a manual fix from the inventory panel
+          <div className="p-6 space-y-4">
+            <ul className="space-y-2">
+              {results.map((result, idx) => (
+                <li key={idx} className={`flex items-start gap-2 text-sm ${result.success ? 'text-green-700' : 'text-red-600'}`}>
+                  {result.success ? <CheckCircle size={16} className="mt-0.5" /> : <AlertTriangle size={16} className="mt-0.5" />}
+                  <span>{result.label}{result.error && ` - ${result.error}`}</span>
+                </li>
+              ))}
+            </ul>
+            <button onClick={onComplete} className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Done</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            {/* ========== LINE ITEMS ========== */}
+            <table className="w-full border border-gray-200 rounded">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Item</th>
+                  <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Refund Qty</th>
+                  <th className="px-3 py-2 text-center text-sm font-medium text-gray-700">Restock</th>
+                  <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {items.map((item, idx) => {
+                  const refundable = getRefundableQuantity(item);
+                  const line = lines[idx];
+                  return (
+                    <tr key={item.order_item_id || item.id || idx} className={refundable <= 0 ? 'text-gray-400' : ''}>
+                      <td className="px-3 py-2">
+                        <input type="checkbox" checked={line.selected} disabled={refundable <= 0} onChange={(e) => updateLine(idx, 'selected', e.target.checked)} />
+                      </td>
+                      <td className="px-3 py-2 text-sm">
+                        {item.name} ({item.color} / {item.size})
+                        {/* Already refunded items stay visible so the admin knows why they can't be picked */}
+                        {item.refunded_quantity > 0 && <span className="block text-xs text-gray-500">{item.refunded_quantity} of {item.quantity} already refunded</span>}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {/* Clamp between 1 and what's left to refund */}
+                        <input
+                          type="number"
+                          min="1"
+                          max={refundable}
+                          step="1"
+                          value={line.quantity}
+                          disabled={!line.selected}
+                          onChange={(e) => updateLine(idx, 'quantity', Math.min(Math.max(parseInt(e.target.value) || 1, 1), refundable))}
+                          className="w-16 px-2 py-1 border rounded text-right text-gray-900 disabled:bg-gray-100"
+                        />
+                        <span className="text-xs text-gray-500 ml-1">/ {refundable}</span>
+                      </td>
+                      <td className="px-3 py-2 text-center">
+                        <input type="checkbox" checked={line.restock} disabled={!line.selected} onChange={(e) => updateLine(idx, 'restock', e.target.checked)} />
+                      </td>
+                      <td className="px-3 py-2 text-sm text-right">${formatCurrency(line.selected ? item.price * line.quantity : 0)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500">Untick Restock for damaged pairs that shouldn't go back on sale.</p>
+            {nothingToRefund && (
+              <p className="text-sm text-yellow-700">Nothing left to refund on this order{canCancel ? ' - it can still be cancelled without a refund' : ''}.</p>
+            )}
+
+            {/* ========== OPTIONS ========== */}
+            <div className="space-y-2">
+              <label className={`flex items-center gap-2 text-sm ${shippingRefunded ? 'text-gray-400' : ''}`}>
+                <input type="checkbox" checked={refundShipping && !shippingRefunded} disabled={shippingRefunded} onChange={(e) => setRefundShipping(e.target.checked)} />
+                Refund shipping fee (${formatCurrency(shippingFee)}){shippingRefunded && ' - already refunded'}
+              </label>
+              {canCancel && (
+                <label className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={alsoCancel} onChange={(e) => setAlsoCancel(e.target.checked)} />
+                  Cancel the order (it can't be shipped afterwards)
+                </label>
+              )}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              {/* Only required when money goes back - it's recorded on the refund */}
+              <textarea value={reason} onChange={(e) => setReason(e.target.value)} required={!cancelWithoutRefund} rows={2} placeholder="e.g. customer cancelled before dispatch" className="w-full px-3 py-2 border rounded-lg text-gray-900" />
+            </div>
+
+            {/* ========== REFUND TOTAL ========== */}
+            <div className="bg-gray-50 rounded-lg p-4 space-y-1 text-sm">
+              <div className="flex justify-between"><span className="text-gray-500">Items</span><span>${formatCurrency(itemsAmount)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-500">Tax</span><span>${formatCurrency(taxAmount)}</span></div>
+              {shippingAmount > 0 && <div className="flex justify-between"><span className="text-gray-500">Shipping</span><span>${formatCurrency(shippingAmount)}</span></div>}
+              <div className="flex justify-between font-bold text-base border-t pt-2 mt-2"><span>Refund Total</span><span>${formatCurrency(refundAmount)}</span></div>
+            </div>
+
+            {/* Action Buttons */}
+            <div className="flex gap-3">
+              <button type="button" onClick={onClose} disabled={submitting} className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50">
+                Back
+              </button>
+              <button type="submit" disabled={submitting || (selectedLines.length === 0 && shippingAmount === 0 && !alsoCancel)} className="flex-1 px-6 py-3 bg-red-500 text-white rounded-lg font-medium hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                {submitting ? 'Processing...' : cancelWithoutRefund ? 'Cancel Order' : `Refund $${formatCurrency(refundAmount)}`}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RefundModal;
@@ -0,0 +1,180 @@
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Bulk tracking number upload - fill in carrier + tracking for lots of shipments from one CSV
+// Expected columns: order_id, tracking_number and (optionally) carrier
+// Rows without a carrier use the default carrier picked in the modal
+//
+// REQUIREMENT SUPPORTED: "Each order shall be assigned a unique confirmation ID for identification and tracking purposes"
+// The order_id column is that confirmation ID - it's how each row finds its order
+
+
+
+// React imports
+import React, { useState } from 'react';
+// updateShipment saves one order's carrier/tracking - called once per row
+import { ordersAPI } from '../services/api';
+// Reads CSV or XLSX into row objects with normalised headers
+import { readSpreadsheetFile } from '../utils/spreadsheet';
+// Known carriers for the default carrier dropdown and validation
+import { CARRIERS, normalizeCarrier, getCarrierLabel } from '../utils/carriers';
+// X for closing, CheckCircle/AlertTriangle for row status
+import { X, CheckCircle, AlertTriangle } from 'lucide-react';
+
+// Check every parsed row before anything is sent - returns the rows with an `error` field where something's wrong
+const validateRows = (rows, defaultCarrier) => {
+  const seen = new Set();
+  return rows.map(row => {
+    const orderId = row.order_id || row.order || '';
+    const trackingNumber = row.tracking_number || row.tracking || '';
+    const carrier = row.carrier || defaultCarrier;
+    let error = '';
+    if (!orderId) error = 'Missing order_id';
+    else if (!trackingNumber) error = 'Missing tracking number';
+    else if (seen.has(orderId)) error = 'Order appears more than once';
+    // Unknown carriers are still saved, they just won't get a tracking link - so only a warning
+    const warning = !error && !normalizeCarrier(carrier) ? 'Unknown carrier - no tracking link' : '';
+    seen.add(orderId);
+    return { orderId, trackingNumber, carrier, error, warning };
+  });
+};
+
+const TrackingUploadModal = ({ onClose, onComplete }) => {
+  // rawRows: rows straight from the file - kept so changing the default carrier re-validates them
+  const [rawRows, setRawRows] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [defaultCarrier, setDefaultCarrier] = useState('USPS');
+  const [uploading, setUploading] = useState(false);
+  // results: per-row outcome after upload - keyed by order id
+  const [results, setResults] = useState(null);
+
+  const rows = validateRows(rawRows, defaultCarrier);
+  const validRows = rows.filter(row => !row.error);
+
+  // Parse the chosen file straight away so the preview shows up
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setFileName(file.name);
+      setResults(null);
+      setRawRows(await readSpreadsheetFile(file));
+    } catch (err) {
+      console.error('Failed to read tracking file:', err);
+      alert('Could not read that file - please upload a CSV or XLSX');
+    }
+  };
+
+  // Send each valid row - one request per order so a bad row doesn't sink the whole batch
+  const handleUpload = async () => {
+    setUploading(true);
+    const outcome = {};
+    for (const row of validRows) {
+      try {
+        await ordersAPI.updateShipment(row.orderId, {
+          carrier: normalizeCarrier(row.carrier) || row.carrier,
+          tracking_number: row.trackingNumber,
+        });
+        outcome[row.orderId] = { success: true };
+      } catch (err) {
+        outcome[row.orderId] = { success: false, error: err.response?.data?.error || 'Failed to save' };
+      }
+    }
+    setResults(outcome);
+    setUploading(false);
+  };
+
+  const succeeded = results ? Object.values(results).filter(r => r.success).length : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+          <h3 className="text-xl font-semibold">Upload Tracking Numbers</h3>
+          <button onClick={results ? onComplete : onClose} disabled={uploading} className="text-gray-500"><X size={24} /></button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* File + default carrier */}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">CSV or XLSX file</label>
+              <input type="file" accept=".csv,.xlsx" onChange={handleFileSelect} disabled={uploading} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+              <p className="text-xs text-gray-500 mt-1">Columns: order_id, tracking_number, carrier (optional)</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Default carrier</label>
+              <select value={defaultCarrier} onChange={(e) => setDefaultCarrier(e.target.value)} disabled={uploading || !!results} className="w-full px-3 py-2 border rounded text-gray-900 bg-white">
+                {Object.entries(CARRIERS).map(([key, carrier]) => <option key={key} value={key}>{carrier.label}</option>)}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">Used for rows without a carrier</p>
+            </div>
+          </div>
+
+          {/* Preview - every row with its validation (or upload) status */}
+          {fileName && (
+            <div>
+              <p className="text-sm text-gray-600 mb-2">
+                {fileName}: {rows.length} rows, {validRows.length} ready
+                {results && ` - ${succeeded} saved, ${validRows.length - succeeded} failed`}
+              </p>
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded">
+                <table className="w-full">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Order ID</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Carrier</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Tracking Number</th>
+                      <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {rows.map((row, idx) => {
+                      const result = results?.[row.orderId];
+                      const problem = row.error || (result && !result.success && result.error);
+                      return (
+                        <tr key={idx} className={problem ? 'bg-red-50' : ''}>
+                          <td className="px-3 py-2 text-sm font-mono">{row.orderId || '-'}</td>
+                          <td className="px-3 py-2 text-sm">{getCarrierLabel(row.carrier) || '-'}</td>
+                          <td className="px-3 py-2 text-sm font-mono">{row.trackingNumber || '-'}</td>
+                          <td className="px-3 py-2 text-sm">
+                            {problem ? (
+                              <span className="flex items-center gap-1 text-red-600"><AlertTriangle size={14} /> {problem}</span>
+                            ) : result?.success ? (
+                              <span className="flex items-center gap-1 text-green-700"><CheckCircle size={14} /> Saved</span>
+                            ) : (
+                              <span className={row.warning ? 'text-yellow-600' : 'text-gray-500'}>{row.warning || 'Ready'}</span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                    {rows.length === 0 && (
+                      <tr><td colSpan="4" className="px-3 py-4 text-center text-gray-500 text-sm">No rows found in this file</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex gap-3">
+            {results ? (
+              <button onClick={onComplete} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Done</button>
+            ) : (
+              <>
+                <button onClick={onClose} disabled={uploading} className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50">Cancel</button>
+                <button onClick={handleUpload} disabled={uploading || validRows.length === 0} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                  {uploading ? 'Saving...' : `Save ${validRows.length} Tracking Numbers`}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrackingUploadModal;
@@ -0,0 +1,221 @@
+// ArchivedProducts.jsx
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Archived products - everything that was archived from the products table
+// Archived products are hidden from the storefront but keep their inventory, images and order history
+// From here they can be restored, or deleted for good (the only place a permanent delete is offered)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Single admin interface for product, inventory, and impact management"
+// - "Prevent break-in and manipulative attacks" - a permanent delete needs the product name typed in as a second confirmation
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+// getAll({ archived: true }) lists only archived products, restore/delete act on one
+import { productsAPI } from '../services/api';
+import { getImageUrl, PLACEHOLDER_IMAGE } from '../utils/productImages';
+import { formatPrice } from '../utils/bulkPricing';
+import { formatSaleDate } from '../utils/sales';
+import { AlertTriangle, ChevronLeft } from 'lucide-react';
+
+const ArchivedProducts = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // restoringId: row whose Restore button is busy
+  const [restoringId, setRestoringId] = useState(null);
+  // Permanent delete - the product being purged, and the name typed in to confirm it
+  const [productToPurge, setProductToPurge] = useState(null);
+  const [confirmName, setConfirmName] = useState('');
+  const [purging, setPurging] = useState(false);
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const fetchProducts = async () => {
+    try {
+      setLoading(true);
+      const response = await productsAPI.getAll({ archived: true });
+      setProducts(response.data.products || []);
+    } catch (err) {
+      setError('Failed to load archived products');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Back to the products table with the status it had before (draft/published/hidden)
+  const handleRestore = async (product) => {
+    setRestoringId(product.id);
+    try {
+      await productsAPI.restore(product.id);
+      setProducts(prev => prev.filter(p => p.id !== product.id));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to restore product');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const openPurgeModal = (product) => {
+    setProductToPurge(product);
+    setConfirmName('');
+  };
+
+  const closePurgeModal = () => {
+    setProductToPurge(null);
+    setConfirmName('');
+  };
+
+  // Second confirmation - the button only unlocks once the exact product name is typed in
+  const confirmPurge = async () => {
+    if (!productToPurge || confirmName.trim() !== productToPurge.name) return;
+    setPurging(true);
+    try {
+      await productsAPI.delete(productToPurge.id);
+      setProducts(prev => prev.filter(p => p.id !== productToPurge.id));
+      closePurgeModal();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to delete product');
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Page Title */}
+      <h1 className="text-3xl text-center mb-8" style={{ fontFamily: "'Playfair Display', serif" }}>
+        Archived Products
+      </h1>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
+
+      <div className="flex items-center justify-between mb-4">
+        <Link to="/products" className="flex items-center gap-1 text-sm text-blue-600 hover:underline">
+          <ChevronLeft size={16} /> Back to products
+        </Link>
+        <span className="text-sm text-gray-500">{products.length} archived</span>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Image</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Product Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Category</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Total Stock</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Selling Price</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Archived</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {products.length === 0 ? (
+              <tr><td colSpan="7" className="px-4 py-8 text-center text-gray-500">No archived products</td></tr>
+            ) : products.map(product => (
+              <tr key={product.id} className="hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <img
+                    src={getImageUrl(product.main_image)}
+                    alt={product.name}
+                    className="w-16 h-16 object-cover rounded opacity-75"
+                    onError={(e) => { e.target.src = PLACEHOLDER_IMAGE; }}
+                  />
+                </td>
+                <td className="px-4 py-3 text-sm font-medium">{product.name}</td>
+                <td className="px-4 py-3 text-sm capitalize">{product.category}</td>
+                <td className="px-4 py-3 text-sm text-right">{product.total_stock || 0}</td>
+                <td className="px-4 py-3 text-sm text-right">{formatPrice(product.selling_price || 0)}</td>
+                <td className="px-4 py-3 text-sm">{formatSaleDate(product.archived_at) || '-'}</td>
+                <td className="px-4 py-3">
+                  <div className="flex items-center gap-1 text-sm">
+                    <button onClick={() => handleRestore(product)} disabled={restoringId === product.id} className="text-blue-600 hover:underline disabled:opacity-50">
+                      {restoringId === product.id ? 'Restoring...' : 'Restore'}
+                    </button>
+                    <span className="text-gray-300">•</span>
+                    <button onClick={() => openPurgeModal(product)} className="text-red-600 hover:underline">Delete permanently</button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ==================== PERMANENT DELETE MODAL ==================== */}
+      {/* Same look as the old delete modal, plus typing the product name - this one really can't be undone */}
+      {productToPurge && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-md w-full">
+            <div className="p-6">
+              {/* Warning Icon */}
+              <div className="flex justify-center mb-4">
+                <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+                  <AlertTriangle size={32} className="text-red-600" />
+                </div>
+              </div>
+
+              <h3 className="text-xl font-semibold text-center text-gray-900 mb-2">
+                Delete Permanently
+              </h3>
+              <p className="text-center font-semibold text-gray-900 mb-4">
+                "{productToPurge.name}"
+              </p>
+              <p className="text-center text-sm text-gray-500 mb-4">
+                This action cannot be undone. All inventory and images associated with this product will be permanently removed.
+              </p>
+
+              <label className="block text-sm text-gray-700 mb-1">Type the product name to confirm</label>
+              <input
+                type="text"
+                value={confirmName}
+                onChange={(e) => setConfirmName(e.target.value)}
+                placeholder={productToPurge.name}
+                className="w-full px-4 py-2 border rounded-lg text-gray-900 mb-6"
+              />
+
+              {/* Action Buttons */}
+              <div className="flex gap-3">
+                <button
+                  onClick={closePurgeModal}
+                  disabled={purging}
+                  className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmPurge}
+                  disabled={purging || confirmName.trim() !== productToPurge.name}
+                  className="flex-1 px-6 py-3 bg-red-600 text-white rounded-lg font-medium hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {purging ? 'Deleting...' : 'Delete Forever'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArchivedProducts;
+
+// REQUIREMENT MAPPING SUMMARY:
+// 1. "Single admin interface for product, inventory, and impact management" - archived products stay manageable instead of vanishing
+// 2. "Prevent break-in and manipulative attacks" - permanent deletes need a second, typed confirmation
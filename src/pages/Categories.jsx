@@ -0,0 +1,313 @@
+// Categories.jsx
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Category management - replaces the hardcoded CATEGORIES list (adding "loafers" used to need a code deploy)
+// Create, rename, reorder and retire categories, with optional one-level nesting (Boots -> Ankle Boots)
+// Renaming cascades to the products in the category on the backend; retiring keeps products where they are
+// but stops the category being offered in the product forms
+//
+// REQUIREMENTS SUPPORTED:
+// - "Single admin interface for product, inventory, and impact management"
+// - "Display luxury products with different sizes and color options" - categories are how the storefront groups them
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+// inventoryAPI - default reorder thresholds are keyed by category name, so a rename has to take its threshold along
+import { categoriesAPI, inventoryAPI } from '../services/api';
+import { sortCategories, formatCategory, normalizeCategoryName } from '../utils/categories';
+import { ChevronUp, ChevronDown } from 'lucide-react';
+
+const Categories = () => {
+  // categories: parent/child order with depth, straight from sortCategories
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // notice: short confirmation after a rename - says how many products moved with it
+  const [notice, setNotice] = useState('');
+  // New category form
+  const [newName, setNewName] = useState('');
+  const [newParentId, setNewParentId] = useState('');
+  const [creating, setCreating] = useState(false);
+  // Inline rename - only one row at a time
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  // busyId: row with a request in flight (rename/retire/parent change) - disables its buttons
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await categoriesAPI.getAll();
+      setCategories(sortCategories(response.data.categories || []));
+      setError('');
+    } catch (err) {
+      setError('Failed to load categories');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only top-level categories can be parents - nesting is one level deep
+  const getParentOptions = (category) => categories.filter(c => c.depth === 0 && !c.retired && c.id !== category?.id);
+  const hasChildren = (category) => categories.some(c => c.parent_id === category.id);
+  const nameTaken = (name, exceptId) => categories.some(c => c.name === name && c.id !== exceptId);
+
+  // ==================== CREATE ====================
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = normalizeCategoryName(newName);
+    if (!name) return;
+    if (nameTaken(name)) {
+      alert(`There is already a category called "${name}"`);
+      return;
+    }
+    setCreating(true);
+    try {
+      await categoriesAPI.create({ name, parent_id: newParentId || null });
+      setNewName('');
+      setNewParentId('');
+      setNotice(`Added ${formatCategory(name)}`);
+      fetchCategories();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to create category');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // ==================== RENAME ====================
+  const startRename = (category) => {
+    setRenamingId(category.id);
+    setRenameValue(category.name);
+  };
+
+  // Products store the category name, so the backend moves them over in the same request
+  const handleRename = async (category) => {
+    const name = normalizeCategoryName(renameValue);
+    if (!name || name === category.name) {
+      setRenamingId(null);
+      return;
+    }
+    if (nameTaken(name, category.id)) {
+      alert(`There is already a category called "${name}"`);
+      return;
+    }
+    if (category.product_count > 0
+      && !window.confirm(`Rename "${category.name}" to "${name}"? Its ${category.product_count} products will be moved to the new name.`)) return;
+    setBusyId(category.id);
+    try {
+      const response = await categoriesAPI.update(category.id, { name });
+      const moved = response.data?.products_updated ?? category.product_count ?? 0;
+      setNotice(`Renamed ${formatCategory(category.name)} to ${formatCategory(name)} - ${moved} products updated`);
+      setRenamingId(null);
+      fetchCategories();
+      await moveThresholdDefault(category.name, name);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to rename category');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // The Low Stock page's default reorder thresholds are stored by category name - without this a renamed
+  // category quietly fell back to the global default
+  const moveThresholdDefault = async (oldName, newName) => {
+    try {
+      const response = await inventoryAPI.getThresholdDefaults();
+      const defaults = response.data.thresholds || {};
+      if (defaults[oldName] === undefined || defaults[oldName] === null) return;
+      const { [oldName]: threshold, ...rest } = defaults;
+      await inventoryAPI.updateThresholdDefaults({ ...rest, [newName]: threshold });
+    } catch (err) {
+      console.error(err);
+      alert(`Renamed, but its default reorder threshold couldn't be moved - set it again on the Low Stock page`);
+    }
+  };
+
+  // ==================== REORDER ====================
+  // Swap with the neighbour on the same level, then send the whole order - optimistic so the arrows feel instant
+  const moveCategory = async (category, direction) => {
+    const siblings = categories.filter(c => c.depth === category.depth && (c.depth === 0 || c.parent_id === category.parent_id));
+    const index = siblings.findIndex(c => c.id === category.id);
+    const swapWith = siblings[index + direction];
+    if (!swapWith) return;
+
+    const reordered = siblings.slice();
+    reordered[index] = swapWith;
+    reordered[index + direction] = category;
+    const sortOrders = new Map(reordered.map((c, i) => [c.id, i]));
+    const next = sortCategories(categories.map(c => (sortOrders.has(c.id) ? { ...c, sort_order: sortOrders.get(c.id) } : c)));
+    setCategories(next);
+    try {
+      await categoriesAPI.reorder(next.map(c => c.id));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save the new order');
+      fetchCategories();
+    }
+  };
+
+  // ==================== PARENT / RETIRE ====================
+  const handleParentChange = async (category, parentId) => {
+    setBusyId(category.id);
+    try {
+      await categoriesAPI.update(category.id, { parent_id: parentId || null });
+      fetchCategories();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to change parent category');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Retired categories keep their products, they just aren't offered for new/edited products
+  const handleToggleRetired = async (category) => {
+    if (!category.retired && category.product_count > 0
+      && !window.confirm(`Retire "${category.name}"? Its ${category.product_count} products stay in it, but it won't be offered in the product forms.`)) return;
+    setBusyId(category.id);
+    try {
+      await categoriesAPI.setRetired(category.id, !category.retired);
+      fetchCategories();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update category');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Page Title */}
+      <h1 className="text-3xl text-center mb-8" style={{ fontFamily: "'Playfair Display', serif" }}>
+        Categories
+      </h1>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
+      {notice && <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg">{notice}</div>}
+
+      {/* ==================== NEW CATEGORY ==================== */}
+      <form onSubmit={handleCreate} className="mb-8 p-4 border border-gray-200 rounded-lg flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">New category</label>
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="e.g. loafers"
+            className="w-56 px-3 py-2 border rounded text-gray-900"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Parent (optional)</label>
+          <select value={newParentId} onChange={(e) => setNewParentId(e.target.value)} className="w-56 px-3 py-2 border rounded text-gray-900 bg-white">
+            <option value="">None - top level</option>
+            {getParentOptions(null).map(c => <option key={c.id} value={c.id}>{formatCategory(c.name)}</option>)}
+          </select>
+        </div>
+        <button type="submit" disabled={creating || !newName.trim()} className="px-6 py-2 bg-primary text-white rounded hover:bg-gray-800 disabled:opacity-50">
+          {creating ? 'Adding...' : 'Add Category'}
+        </button>
+      </form>
+
+      {/* ==================== CATEGORY LIST ==================== */}
+      {/* Same order as every category dropdown - arrows move a category within its level */}
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Order</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Parent</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Products</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Status</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {categories.length === 0 && (
+              <tr><td colSpan="6" className="px-4 py-8 text-center text-gray-500">No categories yet</td></tr>
+            )}
+            {categories.map(category => {
+              const busy = busyId === category.id;
+              return (
+                <tr key={category.id} className={category.retired ? 'bg-gray-50 text-gray-400' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-1">
+                      <button onClick={() => moveCategory(category, -1)} className="p-1 border rounded hover:bg-white" title="Move up"><ChevronUp size={14} /></button>
+                      <button onClick={() => moveCategory(category, 1)} className="p-1 border rounded hover:bg-white" title="Move down"><ChevronDown size={14} /></button>
+                    </div>
+                  </td>
+                  <td className={`px-4 py-3 text-sm font-medium ${category.depth > 0 ? 'pl-10' : ''}`}>
+                    {renamingId === category.id ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={renameValue}
+                          onChange={(e) => setRenameValue(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === 'Enter') handleRename(category); if (e.key === 'Escape') setRenamingId(null); }}
+                          autoFocus
+                          className="w-40 px-2 py-1 border rounded text-gray-900"
+                        />
+                        <button onClick={() => handleRename(category)} disabled={busy} className="text-blue-600 hover:underline disabled:opacity-50">Save</button>
+                        <button onClick={() => setRenamingId(null)} className="text-gray-500 hover:underline">Cancel</button>
+                      </div>
+                    ) : (
+                      <>{category.depth > 0 && '— '}{formatCategory(category.name)}</>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    {/* A category with subcategories stays top level - no grandchildren */}
+                    <select
+                      value={category.depth > 0 ? category.parent_id : ''}
+                      onChange={(e) => handleParentChange(category, e.target.value)}
+                      disabled={busy || hasChildren(category)}
+                      title={hasChildren(category) ? 'Has subcategories - move those first' : undefined}
+                      className="px-2 py-1 border rounded text-sm text-gray-900 bg-white disabled:opacity-50"
+                    >
+                      <option value="">None</option>
+                      {getParentOptions(category).map(c => <option key={c.id} value={c.id}>{formatCategory(c.name)}</option>)}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">{category.product_count ?? '-'}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-0.5 text-xs rounded ${category.retired ? 'bg-gray-200 text-gray-600' : 'bg-green-100 text-green-700'}`}>
+                      {category.retired ? 'Retired' : 'Active'}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex items-center gap-1 text-sm">
+                      <button onClick={() => startRename(category)} disabled={busy} className="text-blue-600 hover:underline disabled:opacity-50">Rename</button>
+                      <span className="text-gray-300">•</span>
+                      <button onClick={() => handleToggleRetired(category)} disabled={busy} className={`${category.retired ? 'text-blue-600' : 'text-red-600'} hover:underline disabled:opacity-50`}>
+                        {category.retired ? 'Reactivate' : 'Retire'}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default Categories;
+
+// REQUIREMENT MAPPING SUMMARY:
+// 1. "Single admin interface for product, inventory, and impact management" - categories managed here instead of in code
+// 2. "Display luxury products with different sizes and color options" - categories (and subcategories) group products on the storefront
@@ -0,0 +1,405 @@
+// Colors.jsx
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Color catalog - colors used to be pulled out of the products, so every typo ("Navy" vs "navy") became its own color
+// Each color now has a name, a hex value for the swatch and optionally a swatch photo (prints, metallics, snakeskin...)
+// The variant editor only offers colors from here, and duplicates that slipped in before can be merged into one
+//
+// REQUIREMENTS SUPPORTED:
+// - "Each product shall display available color and size options" - one clean name + swatch per color
+// - "Single admin interface for product, inventory, and impact management"
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+import { colorsAPI } from '../services/api';
+import { normalizeColorName, normalizeHex, getSwatchStyle, findDuplicateColors, DEFAULT_COLOR_HEX } from '../utils/colors';
+import { AlertTriangle } from 'lucide-react';
+
+// name + hex (+ swatch file) as FormData - create and update take the same fields
+const buildColorFormData = ({ name, hex, swatch }) => {
+  const formData = new FormData();
+  formData.append('name', name);
+  formData.append('hex', hex);
+  if (swatch) formData.append('swatch', swatch);
+  return formData;
+};
+
+const Colors = () => {
+  const [colors, setColors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // notice: short confirmation after a rename or merge - says how many variants were touched
+  const [notice, setNotice] = useState('');
+  // New color form - hex kept as text so it can be typed or picked
+  const [newColor, setNewColor] = useState({ name: '', hex: DEFAULT_COLOR_HEX, swatch: null });
+  const [creating, setCreating] = useState(false);
+  // Inline edit - only one row at a time
+  const [editingId, setEditingId] = useState(null);
+  const [editValues, setEditValues] = useState({ name: '', hex: '', swatch: null });
+  const [busyId, setBusyId] = useState(null);
+  // Merge - ticked rows, then the modal asks which one to keep
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeGroup, setMergeGroup] = useState(null);  // colors being merged, null when the modal is closed
+  const [mergeTargetId, setMergeTargetId] = useState(null);
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    fetchColors();
+  }, []);
+
+  const fetchColors = async () => {
+    try {
+      const response = await colorsAPI.getAll();
+      const list = response.data.colors || [];
+      setColors(list.slice().sort((a, b) => a.name.localeCompare(b.name)));
+      setError('');
+    } catch (err) {
+      setError('Failed to load colors');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const nameTaken = (name, exceptId) => colors.some(c => c.name === name && c.id !== exceptId);
+  const duplicateGroups = findDuplicateColors(colors);
+
+  // ==================== CREATE ====================
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const name = normalizeColorName(newColor.name);
+    const hex = normalizeHex(newColor.hex);
+    if (!name) return;
+    if (!hex) {
+      alert('Hex value should look like #1f2a44');
+      return;
+    }
+    if (nameTaken(name)) {
+      alert(`There is already a color called "${name}"`);
+      return;
+    }
+    setCreating(true);
+    try {
+      await colorsAPI.create(buildColorFormData({ name, hex, swatch: newColor.swatch }));
+      setNewColor({ name: '', hex: DEFAULT_COLOR_HEX, swatch: null });
+      e.target.reset();  // clears the file input, which can't be controlled
+      setNotice(`Added ${name}`);
+      fetchColors();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to create color');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  // ==================== EDIT ====================
+  const startEdit = (color) => {
+    setEditingId(color.id);
+    setEditValues({ name: color.name, hex: normalizeHex(color.hex) || DEFAULT_COLOR_HEX, swatch: null });
+  };
+
+  // Variants store the color name, so a rename is carried over to them on the backend
+  const handleSave = async (color) => {
+    const name = normalizeColorName(editValues.name);
+    const hex = normalizeHex(editValues.hex);
+    if (!name) return;
+    if (!hex) {
+      alert('Hex value should look like #1f2a44');
+      return;
+    }
+    if (nameTaken(name, color.id)) {
+      alert(`There is already a color called "${name}" - use Merge to combine them`);
+      return;
+    }
+    setBusyId(color.id);
+    try {
+      const response = await colorsAPI.update(color.id, buildColorFormData({ name, hex, swatch: editValues.swatch }));
+      if (name !== color.name) {
+        setNotice(`Renamed ${color.name} to ${name} - ${response.data?.variants_updated ?? 0} variants updated`);
+      }
+      setEditingId(null);
+      fetchColors();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update color');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // ==================== MERGE ====================
+  const toggleSelection = (colorId) => {
+    setSelectedIds(prev => (prev.includes(colorId) ? prev.filter(id => id !== colorId) : [...prev, colorId]));
+  };
+
+  // group: the colors to fold together - the first one is suggested as the keeper (most products for duplicate groups)
+  const openMergeModal = (group) => {
+    setMergeGroup(group);
+    setMergeTargetId(group[0].id);
+  };
+
+  const openMergeSelected = () => {
+    const group = colors.filter(c => selectedIds.includes(c.id))
+      .sort((a, b) => (b.product_count || 0) - (a.product_count || 0));
+    openMergeModal(group);
+  };
+
+  const closeMergeModal = () => {
+    setMergeGroup(null);
+    setMergeTargetId(null);
+  };
+
+  const confirmMerge = async () => {
+    const target = mergeGroup.find(c => c.id === mergeTargetId);
+    const sourceIds = mergeGroup.filter(c => c.id !== mergeTargetId).map(c => c.id);
+    if (!target || sourceIds.length === 0) return;
+    setMerging(true);
+    try {
+      const response = await colorsAPI.merge(sourceIds, target.id);
+      setNotice(`Merged ${sourceIds.length} color${sourceIds.length === 1 ? '' : 's'} into ${target.name} - ${response.data?.variants_moved ?? 0} variants moved`);
+      setSelectedIds(prev => prev.filter(id => !mergeGroup.some(c => c.id === id)));
+      closeMergeModal();
+      fetchColors();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to merge colors');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Page Title */}
+      <h1 className="text-3xl text-center mb-8" style={{ fontFamily: "'Playfair Display', serif" }}>
+        Colors
+      </h1>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
+      {notice && <div className="mb-6 p-4 bg-green-50 text-green-700 rounded-lg">{notice}</div>}
+
+      {/* ==================== NEW COLOR ==================== */}
+      <form onSubmit={handleCreate} className="mb-8 p-4 border border-gray-200 rounded-lg flex flex-wrap items-end gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">New color</label>
+          <input
+            type="text"
+            value={newColor.name}
+            onChange={(e) => setNewColor({ ...newColor, name: e.target.value })}
+            placeholder="e.g. burgundy"
+            className="w-56 px-3 py-2 border rounded text-gray-900"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Hex</label>
+          <div className="flex items-center gap-2">
+            {/* Native picker only understands full #rrggbb, so it falls back to grey while the text is half typed */}
+            <input
+              type="color"
+              value={normalizeHex(newColor.hex) || DEFAULT_COLOR_HEX}
+              onChange={(e) => setNewColor({ ...newColor, hex: e.target.value })}
+              className="w-10 h-10 border rounded cursor-pointer"
+            />
+            <input
+              type="text"
+              value={newColor.hex}
+              onChange={(e) => setNewColor({ ...newColor, hex: e.target.value })}
+              className="w-28 px-3 py-2 border rounded text-gray-900 font-mono text-sm"
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Swatch image (optional)</label>
+          <input
+            type="file"
+            accept="image/*"
+            onChange={(e) => setNewColor({ ...newColor, swatch: e.target.files[0] || null })}
+            className="text-sm"
+          />
+        </div>
+        <button type="submit" disabled={creating || !newColor.name.trim()} className="px-6 py-2 bg-primary text-white rounded hover:bg-gray-800 disabled:opacity-50">
+          {creating ? 'Adding...' : 'Add Color'}
+        </button>
+      </form>
+
+      {/* ==================== POSSIBLE DUPLICATES ==================== */}
+      {/* Names that only differ by case, spaces or dashes - left over from the free-text color input */}
+      {duplicateGroups.length > 0 && (
+        <div className="mb-8 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <div className="flex items-center gap-2 mb-3 text-yellow-800">
+            <AlertTriangle size={18} />
+            <h3 className="font-medium">Possible duplicates</h3>
+          </div>
+          <div className="space-y-2">
+            {duplicateGroups.map(group => (
+              <div key={group[0].id} className="flex items-center justify-between text-sm">
+                <div className="flex flex-wrap items-center gap-3">
+                  {group.map(color => (
+                    <span key={color.id} className="flex items-center gap-1">
+                      <span className="w-4 h-4 rounded-full border border-gray-300" style={getSwatchStyle(color)} />
+                      "{color.name}" ({color.product_count || 0})
+                    </span>
+                  ))}
+                </div>
+                <button onClick={() => openMergeModal(group)} className="text-blue-600 hover:underline">Merge</button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* ==================== COLOR LIST ==================== */}
+      <div className="flex items-center justify-between mb-4">
+        <span className="text-sm text-gray-500">{colors.length} colors</span>
+        {/* Any two or more colors can be merged, not just the ones flagged above ("wine" into "burgundy") */}
+        <button
+          onClick={openMergeSelected}
+          disabled={selectedIds.length < 2}
+          className="px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50 disabled:opacity-50"
+        >
+          Merge Selected ({selectedIds.length})
+        </button>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-4 py-3 w-10"></th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Swatch</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Name</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Hex</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Products</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {colors.length === 0 && (
+              <tr><td colSpan="6" className="px-4 py-8 text-center text-gray-500">No colors yet</td></tr>
+            )}
+            {colors.map(color => {
+              const busy = busyId === color.id;
+              const editing = editingId === color.id;
+              return (
+                <tr key={color.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <input type="checkbox" checked={selectedIds.includes(color.id)} onChange={() => toggleSelection(color.id)} />
+                  </td>
+                  <td className="px-4 py-3">
+                    <span className="block w-8 h-8 rounded-full border border-gray-300" style={getSwatchStyle(editing ? { ...color, hex: editValues.hex } : color)} />
+                  </td>
+                  <td className="px-4 py-3 text-sm font-medium capitalize">
+                    {editing ? (
+                      <input
+                        type="text"
+                        value={editValues.name}
+                        onChange={(e) => setEditValues({ ...editValues, name: e.target.value })}
+                        onKeyDown={(e) => { if (e.key === 'Enter') handleSave(color); if (e.key === 'Escape') setEditingId(null); }}
+                        autoFocus
+                        className="w-40 px-2 py-1 border rounded text-gray-900 normal-case"
+                      />
+                    ) : color.name}
+                  </td>
+                  <td className="px-4 py-3 text-sm font-mono">
+                    {editing ? (
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="color"
+                          value={normalizeHex(editValues.hex) || DEFAULT_COLOR_HEX}
+                          onChange={(e) => setEditValues({ ...editValues, hex: e.target.value })}
+                          className="w-8 h-8 border rounded cursor-pointer"
+                        />
+                        <input
+                          type="text"
+                          value={editValues.hex}
+                          onChange={(e) => setEditValues({ ...editValues, hex: e.target.value })}
+                          className="w-24 px-2 py-1 border rounded text-gray-900"
+                        />
+                      </div>
+                    ) : (color.hex || '-')}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">{color.product_count ?? '-'}</td>
+                  <td className="px-4 py-3">
+                    {editing ? (
+                      <div className="flex flex-col gap-2 text-sm">
+                        {/* New swatch image replaces the old one - leave empty to keep it */}
+                        <input type="file" accept="image/*" onChange={(e) => setEditValues({ ...editValues, swatch: e.target.files[0] || null })} className="text-xs" />
+                        <div className="flex items-center gap-1">
+                          <button onClick={() => handleSave(color)} disabled={busy} className="text-blue-600 hover:underline disabled:opacity-50">
+                            {busy ? 'Saving...' : 'Save'}
+                          </button>
+                          <span className="text-gray-300">•</span>
+                          <button onClick={() => setEditingId(null)} className="text-gray-500 hover:underline">Cancel</button>
+                        </div>
+                      </div>
+                    ) : (
+                      <button onClick={() => startEdit(color)} className="text-sm text-blue-600 hover:underline">Edit</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* ==================== MERGE MODAL ==================== */}
+      {/* Pick the color to keep - every variant and image tag on the others moves over to it */}
+      {mergeGroup && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-md w-full">
+            <div className="p-6">
+              <h3 className="text-xl font-semibold text-center text-gray-900 mb-2">Merge Colors</h3>
+              <p className="text-center text-sm text-gray-500 mb-4">
+                Choose the color to keep. The others are removed and their variants move to it - if a product has the same size in both, the quantities are added together.
+              </p>
+
+              <div className="space-y-2 mb-6">
+                {mergeGroup.map(color => (
+                  <label key={color.id} className={`flex items-center gap-3 p-3 border rounded-lg cursor-pointer ${color.id === mergeTargetId ? 'border-primary bg-gray-50' : 'border-gray-200'}`}>
+                    <input type="radio" name="merge-target" checked={color.id === mergeTargetId} onChange={() => setMergeTargetId(color.id)} />
+                    <span className="w-6 h-6 rounded-full border border-gray-300" style={getSwatchStyle(color)} />
+                    <span className="text-sm font-medium">{color.name}</span>
+                    <span className="ml-auto text-xs text-gray-500">{color.product_count || 0} products</span>
+                  </label>
+                ))}
+              </div>
+
+              {/* Action Buttons */}
+              <div className="flex gap-3">
+                <button
+                  onClick={closeMergeModal}
+                  disabled={merging}
+                  className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={confirmMerge}
+                  disabled={merging || !mergeTargetId}
+                  className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50"
+                >
+                  {merging ? 'Merging...' : 'Merge'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Colors;
+
+// REQUIREMENT MAPPING SUMMARY:
+// 1. "Each product shall display available color and size options" - one catalog name + swatch per color, duplicates merged
+// 2. "Single admin interface for product, inventory, and impact management" - colors managed here instead of typed per product
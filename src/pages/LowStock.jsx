@@ -0,0 +1,211 @@
+// LowStock.jsx
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Low stock alert view - every size/color, across all products, that's at or below its reorder threshold
+// total_stock on the products table hides this: 80 pairs in stock means nothing if size 8 in navy is down to 1
+// Also where the default threshold per category is set (individual variants are overridden from the inventory grid)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to update inventory in real-time with immediate user visibility" - list reflects the latest saved quantities
+// - "Update the quantity of items in each size as sales are performed" - sales eat into stock, this flags what to reorder
+// - "Single admin interface for product, inventory, and impact management"
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+// Link back to the products page for the actual restock
+import { Link } from 'react-router-dom';
+// getLowStock for the list, get/updateThresholdDefaults for the category defaults form
+import { inventoryAPI, categoriesAPI } from '../services/api';
+import { formatCategory, sortCategories, getActiveCategoryNames, formatCategoryOption } from '../utils/categories';
+import { DEFAULT_REORDER_THRESHOLD, getStockLevel, STOCK_LEVELS } from '../utils/stockLevels';
+
+const LowStock = () => {
+  // variants: everything the backend says is at/below threshold
+  const [variants, setVariants] = useState([]);
+  // thresholds: category -> default threshold, as typed (strings) so the inputs can be cleared
+  const [thresholds, setThresholds] = useState({});
+  // savedDefaults: the whole map as loaded - retired categories aren't in the form but their values have to go back
+  // with the save, the endpoint replaces the map
+  const [savedDefaults, setSavedDefaults] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingDefaults, setSavingDefaults] = useState(false);
+  // categoryFilter: '' shows every category
+  const [categoryFilter, setCategoryFilter] = useState('');
+  // categories: from the Categories page - retired ones stay in the filter (their products can still be low)
+  const [categories, setCategories] = useState([]);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  // List + defaults in parallel, same as the products page does it
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [lowStockRes, thresholdsRes, categoriesRes] = await Promise.all([
+        inventoryAPI.getLowStock(),
+        inventoryAPI.getThresholdDefaults(),
+        categoriesAPI.getAll(),
+      ]);
+      setVariants(lowStockRes.data.variants || []);
+      const allCategories = categoriesRes.data.categories || [];
+      setCategories(sortCategories(allCategories));
+      const defaults = thresholdsRes.data.thresholds || {};
+      setSavedDefaults(defaults);
+      // Inputs only for categories still in use - retired ones keep their value (sent back untouched on save)
+      setThresholds(Object.fromEntries(getActiveCategoryNames(allCategories).map(cat => [cat, defaults[cat] ?? ''])));
+      setError('');
+    } catch (err) {
+      setError('Failed to load low stock');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Save the category defaults - empty means "use the global default"
+  const handleSaveDefaults = async (e) => {
+    e.preventDefault();
+    const invalid = Object.entries(thresholds).find(([, value]) => value !== '' && !/^\d+$/.test(String(value)));
+    if (invalid) {
+      alert(`The ${invalid[0]} threshold must be a whole number of 0 or more`);
+      return;
+    }
+    setSavingDefaults(true);
+    try {
+      await inventoryAPI.updateThresholdDefaults({
+        ...savedDefaults,
+        ...Object.fromEntries(Object.entries(thresholds).map(([cat, value]) => [cat, value === '' ? null : parseInt(value)])),
+      });
+      // Variants using the category default may have moved in or out of the list
+      fetchData();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save default thresholds');
+    } finally {
+      setSavingDefaults(false);
+    }
+  };
+
+  // Emptiest first - sold-out variants are the most urgent
+  const visibleVariants = variants
+    .filter(v => !categoryFilter || v.category === categoryFilter)
+    .sort((a, b) => (parseInt(a.quantity) || 0) - (parseInt(b.quantity) || 0));
+  const outCount = visibleVariants.filter(v => (parseInt(v.quantity) || 0) <= 0).length;
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Page Title */}
+      <h1 className="text-3xl text-center mb-8" style={{ fontFamily: "'Playfair Display', serif" }}>
+        Low Stock
+      </h1>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
+
+      {/* ==================== CATEGORY DEFAULTS ==================== */}
+      {/* Applies to every variant that doesn't have its own threshold */}
+      <form onSubmit={handleSaveDefaults} className="mb-8 p-4 border border-gray-200 rounded-lg">
+        <h2 className="text-lg mb-1" style={{ fontFamily: "'Playfair Display', serif" }}>Default reorder thresholds</h2>
+        <p className="text-xs text-gray-500 mb-3">
+          A size/color is low stock when its quantity is at or below the threshold. Set a different threshold for one variant from the
+          Reorder thresholds tab of its inventory grid. Empty uses {DEFAULT_REORDER_THRESHOLD}.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          {Object.keys(thresholds).map(cat => (
+            <div key={cat}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{formatCategory(cat)}</label>
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={thresholds[cat] ?? ''}
+                placeholder={String(DEFAULT_REORDER_THRESHOLD)}
+                onChange={(e) => setThresholds(prev => ({ ...prev, [cat]: e.target.value }))}
+                className="w-24 px-3 py-2 border rounded text-gray-900"
+              />
+            </div>
+          ))}
+          <button type="submit" disabled={savingDefaults} className="px-6 py-2 bg-primary text-white rounded hover:bg-gray-800 disabled:opacity-50">
+            {savingDefaults ? 'Saving...' : 'Save Defaults'}
+          </button>
+        </div>
+      </form>
+
+      {/* ==================== LOW STOCK TABLE ==================== */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)} className="px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+            <option value="">All categories</option>
+            {categories.map(cat => <option key={cat.id} value={cat.name}>{formatCategoryOption(cat)}</option>)}
+          </select>
+          <button onClick={fetchData} className="text-sm text-blue-600 hover:underline">Refresh</button>
+        </div>
+        <span className="text-sm text-gray-500">{visibleVariants.length} variants low, {outCount} sold out</span>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Product</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Category</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Size</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Color</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Quantity</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Threshold</th>
+              <th className="px-4 py-3 text-center text-sm font-medium text-gray-700">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {visibleVariants.length === 0 ? (
+              <tr><td colSpan="7" className="px-4 py-8 text-center text-gray-500">Nothing is low on stock</td></tr>
+            ) : (
+              visibleVariants.map(variant => {
+                const level = getStockLevel(variant.quantity, variant.reorder_threshold);
+                return (
+                  <tr key={`${variant.product_id}-${variant.size_id}-${variant.color_id}`} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium">{variant.product_name}</td>
+                    <td className="px-4 py-3 text-sm capitalize">{variant.category}</td>
+                    <td className="px-4 py-3 text-sm text-right">{variant.size}</td>
+                    <td className="px-4 py-3 text-sm capitalize">{variant.color}</td>
+                    <td className="px-4 py-3 text-sm text-right">{variant.quantity}</td>
+                    {/* Says where the threshold came from - a surprise "low" is usually a category default */}
+                    <td className="px-4 py-3 text-sm text-right">
+                      {variant.reorder_threshold}
+                      <span className="block text-xs text-gray-500">{variant.threshold_source === 'variant' ? 'this variant' : 'category default'}</span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-center">
+                      <span className={`px-2 py-1 text-xs rounded font-medium ${level === STOCK_LEVELS.OUT ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`}>
+                        {level === STOCK_LEVELS.OUT ? 'Sold out' : 'Low'}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Restock from the inventory grid on <Link to="/products" className="text-blue-600 hover:underline">Product & Inventory Management</Link>.
+      </p>
+    </div>
+  );
+};
+
+export default LowStock;
+
+// REQUIREMENT MAPPING SUMMARY:
+// 1. "Admin to update inventory in real-time with immediate user visibility" - list comes straight from the latest quantities
+// 2. "Update the quantity of items in each size as sales are performed" - sold-down variants show up here to reorder
+// 3. "Single admin interface for product, inventory, and impact management" - reorder list lives next to products and orders
@@ -1,7 +1,8 @@
 // Developer: Greenshoes Team
 // This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
 // Admin view for all orders placed on the platform - both guest and registered users
-// This is read-only for now - admins can view order details but not modify them
+// Admins can view order details and move orders through the status workflow (ORDERED -> SHIPPED -> DELIVERED, or CANCELLED)
+// Everything else about an order stays read-only
 //
 // REQUIREMENTS SATISFIED:
 // - "Each order shall be assigned a unique confirmation ID for identification and tracking purposes"
@@ -10,64 +11,551 @@
 
 
 
-// React imports - useState for local state, useEffect for data fetching on mount
-import React, { useState, useEffect } from 'react';
+// React imports - useState for local state, useEffect for data fetching whenever the filters change
+import React, { useState, useEffect, useRef } from 'react';
+// useSearchParams keeps the filters/sort/page in the URL so a filtered view can be bookmarked or shared
+// useParams/useNavigate handle the /orders/:orderId deep link that opens an order's detail modal
+import { useSearchParams, useParams, useNavigate } from 'react-router-dom';
 // Our orders API service - handles fetching order data from backend
 import { ordersAPI } from '../services/api';
+// Export helpers - builds the CSV/XLSX rows from orders (one row per order or per line item)
+import { exportOrders, EXPORT_LEVELS } from '../utils/orderExport';
+// Printable documents - branded invoice and packing slip built from the order details
+import { printOrderDocuments, DOCUMENT_TYPES } from '../utils/orderDocuments';
+// Cancel/refund flow - picks items to refund and restocks them automatically
+import RefundModal from '../components/RefundModal';
+// Bulk tracking upload - CSV/XLSX of order_id + tracking number pairs
+import TrackingUploadModal from '../components/TrackingUploadModal';
+// Internal notes + activity timeline for the order in the detail modal
+import OrderActivityPanel from '../components/OrderActivityPanel';
+// Full-order cancel + restock sequence - reused by the bulk cancel so stock goes back the same way
+import { processRefund, getFullRefundLines, shouldRefundShippingOnCancel } from '../utils/orderRefunds';
+// Acting admin - passed to the bulk cancel so restocks are recorded against whoever ran it
+import { useAdminAuth } from '../context/AdminAuthContext';
+// Carrier helpers - known carriers (USPS, UPS, FedEx, DHL) get clickable tracking links
+import { CARRIERS, normalizeCarrier, getCarrierLabel, getTrackingUrl } from '../utils/carriers';
+// Address helpers - display lines, table summary and billing/shipping mismatch check
+import { formatAddressLines, formatAddressSummary, addressesMatch, billingDiffersFromShipping, formatCardLast4 } from '../utils/addresses';
 // X icon for closing the modal - keeping consistent with other modals in the app
-import { X } from 'lucide-react';
+// AlertTriangle for the status change confirmation - same icon the product delete modal uses
+// Chevrons for the sort direction indicator and the pagination buttons
+// Search icon for the order lookup box, Download for the export buttons, Printer for invoice/packing slip,
+// Upload for the tracking CSV, CheckCircle for bulk action results
+import { X, AlertTriangle, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, Search, Download, Printer, Upload, CheckCircle } from 'lucide-react';
+
+// Allowed status transitions - the key is the current status, the value is where it can go next
+// Fulfilment staff used to edit statuses straight in the database which let orders jump around randomly
+// Once an order has shipped it can't be cancelled anymore, and DELIVERED/CANCELLED are final
+// Backend enforces the same rules - this just keeps invalid options out of the UI
+const STATUS_TRANSITIONS = {
+  ORDERED: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED'],
+  DELIVERED: [],
+  CANCELLED: [],
+};
+
+// Button labels for each target status - reads nicer than just the raw status name
+const STATUS_ACTION_LABELS = {
+  SHIPPED: 'Mark as Shipped',
+  DELIVERED: 'Mark as Delivered',
+  CANCELLED: 'Cancel Order',
+};
+
+// Filter fields that live in the URL query string - same names the backend expects
+// Keeping them in one list so the filter form, the URL and the API params never drift apart
+// search is free text - matched against the full order_id, order_number, customer name and email on the backend
+const FILTER_KEYS = ['search', 'status', 'customer_type', 'date_from', 'date_to', 'min_total', 'max_total'];
+
+// Page size options - 25 is the default, bigger pages for when someone needs to scan a lot quickly
+const PAGE_SIZES = [25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
+
+// Default sort - newest orders first, same order the backend used to return everything in
+const DEFAULT_SORT_BY = 'created_at';
+const DEFAULT_SORT_ORDER = 'desc';
 
 const OrderManagement = () => {
+  const { admin } = useAdminAuth();
   // ==================== STATE MANAGEMENT ====================
-  // orders: array of all orders fetched from the API
+  // searchParams: the URL query string - single source of truth for filters, sort and page
+  const [searchParams, setSearchParams] = useSearchParams();
+  // orderId: set when the URL is /orders/:orderId - that order's detail modal should be open
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  // openExactMatchRef: the search term just submitted - the fetch for that term opens the modal if an order matches exactly
+  // A ref rather than state because it shouldn't cause a re-render
+  // Holds the term itself (not just true) so a later, unrelated fetch - paging, sorting - can never act on it
+  const openExactMatchRef = useRef(null);
+  // fetchRequestRef: number of the latest orders request - a slow earlier page/filter response that comes back
+  // after a newer one is thrown away instead of overwriting the table
+  const fetchRequestRef = useRef(0);
+  // detailRequestRef: same idea for the detail modal - clicking View on order A then B quickly (or closing the modal)
+  // must not let A's late response replace B's details and shipment form
+  const detailRequestRef = useRef(0);
+  // orders: the current page of orders fetched from the API
   const [orders, setOrders] = useState([]);
-  // loading: true while fetching data - shows spinner
+  // pagination: totals from the backend so we can render "Page x of y"
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+  // initialLoading: true only for the very first fetch - shows the full page spinner
+  const [initialLoading, setInitialLoading] = useState(true);
+  // loading: true while fetching a page - dims the table instead of replacing the whole page
   const [loading, setLoading] = useState(true);
+  // filterForm: draft filter values being typed in - only pushed to the URL on Apply
+  // Otherwise every keystroke in the amount fields would fire a request
+  const [filterForm, setFilterForm] = useState(() =>
+    Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']))
+  );
   // error: stores error message if fetch fails
   const [error, setError] = useState('');
   // selectedOrder: the order currently being viewed in detail modal
   const [selectedOrder, setSelectedOrder] = useState(null);
   // showOrderDetail: controls visibility of the order detail modal
   const [showOrderDetail, setShowOrderDetail] = useState(false);
+  // pendingStatus: the status the admin clicked - waits here until they confirm it
+  const [pendingStatus, setPendingStatus] = useState(null);
+  // updatingStatus: true while the status PATCH is in flight - prevents double-clicks
+  const [updatingStatus, setUpdatingStatus] = useState(false);
+  // refundMode: null when closed, 'refund' for a partial refund, 'cancel' when cancelling the whole order
+  const [refundMode, setRefundMode] = useState(null);
+  // shipmentForm: carrier + tracking number being edited in the detail modal (and the "mark shipped" confirmation)
+  const [shipmentForm, setShipmentForm] = useState({ carrier: '', tracking_number: '' });
+  const [savingShipment, setSavingShipment] = useState(false);
+  // showTrackingUpload: controls the bulk tracking upload modal
+  const [showTrackingUpload, setShowTrackingUpload] = useState(false);
+  // activityRefreshKey: bumped after anything that adds to the order's timeline so the panel reloads
+  const [activityRefreshKey, setActivityRefreshKey] = useState(0);
+  // selectedIds: order_ids ticked in the table - bulk actions work on these
+  // Only ever holds orders from the current page (cleared whenever the page/filters change)
+  const [selectedIds, setSelectedIds] = useState([]);
+  // bulkAction: 'ship' or 'cancel' while waiting for confirmation, null otherwise
+  const [bulkAction, setBulkAction] = useState(null);
+  // bulkReason: refund reason recorded against every order in a bulk cancel
+  const [bulkReason, setBulkReason] = useState('');
+  // bulkRunning: true while a bulk action works through the orders - locks the bulk bar
+  const [bulkRunning, setBulkRunning] = useState(false);
+  // bulkResults: { title, results: [{ orderId, label, success, error }] } - per-order report after a bulk run
+  const [bulkResults, setBulkResults] = useState(null);
+  // exportLevel: one row per order, or one row per line item
+  const [exportLevel, setExportLevel] = useState(EXPORT_LEVELS.ORDER);
+  // exporting: true while we're pulling every matching order for the export - disables the buttons
+  const [exporting, setExporting] = useState(false);
+
+  // Current page/sort values read straight from the URL, with defaults when they're missing
+  const page = parseInt(searchParams.get('page')) || 1;
+  const limit = parseInt(searchParams.get('limit')) || DEFAULT_PAGE_SIZE;
+  const sortBy = searchParams.get('sort_by') || DEFAULT_SORT_BY;
+  const sortOrder = searchParams.get('sort_order') || DEFAULT_SORT_ORDER;
 
-  // Fetch orders on component mount
-  // Empty dependency array means this runs once when page loads
+  // Fetch orders whenever the query string changes (filters, sort, page)
+  // Back/forward in the browser also lands here since it changes the URL
   useEffect(() => {
     fetchOrders();
-  }, []);
+    // Selection is per page - ticked rows from another page/filter would be invisible and confusing
+    setSelectedIds([]);
+    // Keep the filter form in sync when the URL changes from outside the form (e.g. browser back)
+    setFilterForm(Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || ''])));
+  }, [searchParams]);
+
+  // Build the API params from the URL - empty filters are left out so the backend ignores them
+  const buildQueryParams = () => {
+    const params = { page, limit, sort_by: sortBy, sort_order: sortOrder };
+    FILTER_KEYS.forEach(key => {
+      const value = searchParams.get(key);
+      if (value) params[key] = value;
+    });
+    return params;
+  };
 
-  // Function to fetch all orders from the API
+  // Function to fetch the current page of orders from the API
   // Separated into its own function in case we need to refresh later
   const fetchOrders = async () => {
+    const requestId = ++fetchRequestRef.current;
     try {
       setLoading(true);
-      const response = await ordersAPI.getAll();
+      setError('');
+      const response = await ordersAPI.getAll(buildQueryParams());
+      if (requestId !== fetchRequestRef.current) return;  // out of date - a newer fetch is running or done
       // Default to empty array if no orders - prevents undefined errors
-      setOrders(response.data.orders || []);
+      const fetchedOrders = response.data.orders || [];
+      setOrders(fetchedOrders);
+      // Fall back to a single page if the backend didn't send pagination info
+      setPagination(response.data.pagination || { page: 1, totalPages: 1, total: fetchedOrders.length });
+
+      // Support agents usually paste a confirmation ID or order number from a customer email
+      // If one of the results is an exact match, skip the table and open it directly
+      const submittedTerm = openExactMatchRef.current;
+      openExactMatchRef.current = null;
+      if (submittedTerm && submittedTerm === searchParams.get('search')) {
+        const term = submittedTerm.toLowerCase();
+        const exactMatch = term && fetchedOrders.find(o =>
+          o.order_id?.toLowerCase() === term ||
+          o.order_number?.toString().toLowerCase() === term ||
+          o.customer_email?.toLowerCase() === term
+        );
+        // Only jump straight in if it's unambiguous - a customer email can match several orders
+        if (exactMatch && fetchedOrders.filter(o => o.customer_email?.toLowerCase() === term).length <= 1) {
+          handleViewOrder(exactMatch);
+        }
+      }
     } catch (err) {
+      if (requestId !== fetchRequestRef.current) return;
       setError('Failed to load orders');
       console.error(err); // Log for debugging but show friendly message to user
     } finally {
-      // Always stop loading spinner, whether success or failure
-      setLoading(false);
+      // Always stop loading spinner, whether success or failure - but only for the latest request
+      if (requestId === fetchRequestRef.current) {
+        setLoading(false);
+        setInitialLoading(false);
+      }
+    }
+  };
+
+  // ==================== FILTERS, SORTING & PAGINATION ====================
+  // All of these just rewrite the query string - the effect above does the actual fetching
+
+  // The URL with changes merged in - empty values are removed so the URL stays short and readable
+  const buildNextSearchParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    return next;
+  };
+
+  const updateSearchParams = (changes) => setSearchParams(buildNextSearchParams(changes));
+
+  // Apply the filter form - always jump back to page 1 since the old page might not exist anymore
+  // Submitting the same search again doesn't change the URL, so the effect wouldn't fetch - run it directly instead
+  const applyFilters = (e) => {
+    e.preventDefault();
+    const search = filterForm.search.trim();
+    openExactMatchRef.current = search || null;
+    const next = buildNextSearchParams({ ...filterForm, search, page: '' });
+    if (next.toString() === searchParams.toString()) fetchOrders();
+    else setSearchParams(next);
+  };
+
+  // Clear all filters but keep the sort and page size - those are more of a personal preference
+  const clearFilters = () => {
+    updateSearchParams({ ...Object.fromEntries(FILTER_KEYS.map(key => [key, ''])), page: '' });
+  };
+
+  // Clicking a column header sorts by it - clicking the same one again flips the direction
+  const handleSort = (field) => {
+    const nextOrder = sortBy === field && sortOrder === 'asc' ? 'desc' : 'asc';
+    updateSearchParams({ sort_by: field, sort_order: nextOrder, page: '' });
+  };
+
+  // Page 1 is the default so it's left out of the URL
+  const goToPage = (nextPage) => updateSearchParams({ page: nextPage > 1 ? nextPage : '' });
+
+  // ==================== EXPORT ====================
+  // Accounting asks for order data every month - this exports everything matching the current filters
+  // Uses the applied filters from the URL (not the half-typed draft ones) and ignores the current page
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      const matchingOrders = await ordersAPI.getAllMatching(buildQueryParams());
+      if (matchingOrders.length === 0) {
+        alert('No orders match the current filters - nothing to export');
+        return;
+      }
+      await exportOrders(matchingOrders, { level: exportLevel, format });
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert(err.response?.data?.error || 'Failed to export orders');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // ==================== BULK ACTIONS ====================
+  // Ship, cancel, print packing slips or export several orders at once
+  // Every action works through the orders one by one and reports each order's success or failure
+
+  // Label used in bulk results - order number if there is one, otherwise the short ID
+  const getOrderLabel = (order) => order.order_number || truncateId(order.order_id);
+
+  const toggleSelected = (orderId) => {
+    setSelectedIds(prev => (prev.includes(orderId) ? prev.filter(id => id !== orderId) : [...prev, orderId]));
+  };
+
+  // Header checkbox - selects/deselects every order on the current page
+  const allOnPageSelected = orders.length > 0 && orders.every(o => selectedIds.includes(o.order_id));
+  const toggleSelectAllOnPage = () => {
+    setSelectedIds(allOnPageSelected ? [] : orders.map(o => o.order_id));
+  };
+
+  const selectedOrders = orders.filter(o => selectedIds.includes(o.order_id));
+
+  // Full details (items, addresses, price breakdown) for the selection - the list rows don't have them
+  // Returns the loaded orders plus a failure entry for any that couldn't be fetched
+  const loadSelectedOrderDetails = async () => {
+    const loaded = [];
+    const failures = [];
+    for (const order of selectedOrders) {
+      try {
+        const response = await ordersAPI.getById(order.order_id);
+        loaded.push(response.data.order || response.data);
+      } catch (err) {
+        failures.push({ orderId: order.order_id, label: getOrderLabel(order), success: false, error: 'Could not load order details' });
+      }
+    }
+    return { loaded, failures };
+  };
+
+  // Mark shipped / cancel - runs after the confirmation modal
+  // Orders that can't make the transition are reported as failures instead of being sent to the backend
+  const runBulkStatusAction = async () => {
+    const targetStatus = bulkAction === 'ship' ? 'SHIPPED' : 'CANCELLED';
+    setBulkRunning(true);
+    const results = [];
+
+    for (const order of selectedOrders) {
+      const label = getOrderLabel(order);
+      if (!getNextStatuses(order.status).includes(targetStatus)) {
+        results.push({ orderId: order.order_id, label, success: false, error: `Can't go from ${order.status} to ${targetStatus}` });
+        continue;
+      }
+      try {
+        if (targetStatus === 'CANCELLED') {
+          // Same sequence as the single-order cancel: full refund, restock everything, then cancel
+          // Shipping only goes back if it hasn't already and there's something else to refund - an order with
+          // nothing left to refund is just cancelled (processRefund skips the refund step)
+          const response = await ordersAPI.getById(order.order_id);
+          const fullOrder = response.data.order || response.data;
+          const steps = await processRefund(fullOrder, {
+            refundLines: getFullRefundLines(fullOrder),
+            reason: bulkReason,
+            refundShipping: shouldRefundShippingOnCancel(fullOrder),
+            cancel: true,
+            admin,
+          });
+          const failed = steps.filter(step => !step.success);
+          results.push({ orderId: order.order_id, label, success: failed.length === 0, error: failed.map(step => `${step.label}: ${step.error}`).join('; ') });
+        } else {
+          await ordersAPI.updateStatus(order.order_id, targetStatus);
+          results.push({ orderId: order.order_id, label, success: true });
+        }
+      } catch (err) {
+        results.push({ orderId: order.order_id, label, success: false, error: err.response?.data?.error || err.message });
+      }
+    }
+
+    setBulkRunning(false);
+    setBulkAction(null);
+    setBulkReason('');
+    setBulkResults({ title: targetStatus === 'SHIPPED' ? 'Mark as Shipped' : 'Cancel Orders', results });
+  };
+
+  // Print all the selected packing slips as one print job (one slip per page)
+  // The window is opened straight away on click - browsers block popups opened after an await
+  const handleBulkPrint = async () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('The print window was blocked - please allow popups for the admin panel');
+      return;
+    }
+    setBulkRunning(true);
+    const { loaded, failures } = await loadSelectedOrderDetails();
+    setBulkRunning(false);
+    if (loaded.length > 0) printOrderDocuments(printWindow, loaded, DOCUMENT_TYPES.PACKING_SLIP);
+    else printWindow.close();
+    // Only bother the admin with a report if something didn't make it into the print job
+    if (failures.length > 0) setBulkResults({ title: 'Print Packing Slips', results: failures });
+  };
+
+  // Export just the selected orders - same columns as the filtered export
+  const handleBulkExport = async (format) => {
+    setBulkRunning(true);
+    try {
+      const { loaded, failures } = await loadSelectedOrderDetails();
+      if (loaded.length > 0) await exportOrders(loaded, { level: exportLevel, format });
+      if (failures.length > 0) setBulkResults({ title: 'Export Selection', results: failures });
+    } catch (err) {
+      console.error('Export failed:', err);
+      alert('Failed to export the selected orders');
+    } finally {
+      setBulkRunning(false);
     }
   };
 
+  // Closing the results refreshes the table so the new statuses show up
+  const closeBulkResults = () => {
+    setBulkResults(null);
+    setSelectedIds([]);
+    fetchOrders();
+  };
+
+  // True when any filter is set - used to show the Clear button and a better empty state message
+  const hasActiveFilters = FILTER_KEYS.some(key => searchParams.get(key));
+
+  // Open/close the detail modal whenever the :orderId part of the URL changes
+  // This is what makes /orders/:orderId work as a deep link (and the browser back button close the modal)
+  useEffect(() => {
+    if (orderId) {
+      loadOrderDetail(orderId);
+    } else {
+      detailRequestRef.current++;  // a detail request still in flight shouldn't reopen the modal
+      setShowOrderDetail(false);
+      setSelectedOrder(null);
+    }
+  }, [orderId]);
+
   // Handler for viewing detailed order information
+  // Just changes the URL - the effect above does the loading
+  // Keeps the query string so closing the modal goes back to the same filtered page
+  const handleViewOrder = (order) => {
+    navigate({ pathname: `/orders/${order.order_id}`, search: searchParams.toString() });
+  };
+
+  // Close the detail modal by dropping the :orderId from the URL
+  const closeOrderDetail = () => {
+    navigate({ pathname: '/orders', search: searchParams.toString() });
+  };
+
   // Fetches fresh data for the selected order to ensure we have complete details
   // REQUIREMENT: "display the order ID, shoe color, size, billing address, shipping address, and total amount"
-  const handleViewOrder = async (order) => {
+  const loadOrderDetail = async (id) => {
+    const requestId = ++detailRequestRef.current;
     try {
       // Fetch full order details - the list view might not have everything
-      const response = await ordersAPI.getById(order.order_id);
-      setSelectedOrder(response.data.order || response.data);
+      const response = await ordersAPI.getById(id);
+      if (requestId !== detailRequestRef.current) return;  // out of date - another order was opened since
+      const order = response.data.order || response.data;
+      setSelectedOrder(order);
+      setShipmentForm({ carrier: getCarrierLabel(order.carrier), tracking_number: order.tracking_number || '' });
       setShowOrderDetail(true);
     } catch (err) {
+      if (requestId !== detailRequestRef.current) return;
+      console.error('Failed to fetch order details:', err);
       // If fetch fails, still show what we have from the list
       // Better to show partial data than nothing
-      console.error('Failed to fetch order details:', err);
-      setSelectedOrder(order);
-      setShowOrderDetail(true);
+      const listOrder = orders.find(o => o.order_id === id);
+      if (listOrder) {
+        setSelectedOrder(listOrder);
+        setShipmentForm({ carrier: getCarrierLabel(listOrder.carrier), tracking_number: listOrder.tracking_number || '' });
+        setShowOrderDetail(true);
+      } else {
+        // Deep link to an order that doesn't exist (or a mistyped ID) - nothing to show
+        setError(`Order ${id} not found`);
+        navigate({ pathname: '/orders', search: searchParams.toString() }, { replace: true });
+      }
+    }
+  };
+
+  // ==================== STATUS WORKFLOW ====================
+  // Each change goes through a confirmation step because status changes are visible to customers
+
+  // Statuses the selected order can move to from where it is now
+  const getNextStatuses = (status) => STATUS_TRANSITIONS[status?.toUpperCase()] || [];
+
+  // Confirm and send the status change
+  // Updates both the table row and the open modal right away so the status colors change without a refetch
+  const confirmStatusChange = async () => {
+    if (!selectedOrder || !pendingStatus) return;
+    const orderId = selectedOrder.order_id || selectedOrder.id;
+
+    setUpdatingStatus(true);  // Disable buttons to prevent double-clicks
+    try {
+      // Marking as shipped is when the tracking number usually gets entered - save it first
+      // so the order never shows SHIPPED without tracking when the admin did fill it in
+      if (pendingStatus === 'SHIPPED' && shipmentForm.tracking_number.trim()) {
+        await saveShipment(orderId);
+      }
+      await ordersAPI.updateStatus(orderId, pendingStatus);
+      setSelectedOrder(prev => ({ ...prev, status: pendingStatus }));
+      setOrders(prev => prev.map(o => (o.order_id === orderId ? { ...o, status: pendingStatus } : o)));
+      setPendingStatus(null);
+      setActivityRefreshKey(key => key + 1);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update order status');
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
+  // ==================== SHIPMENT TRACKING ====================
+
+  // Save carrier + tracking number and update the modal and table row in place
+  // Throws on failure so confirmStatusChange can stop before marking the order shipped
+  const saveShipment = async (orderId) => {
+    // Known carriers are stored by key ("FEDEX"), same as the tracking CSV upload - the datalist offers labels ("FedEx")
+    // and people type "fedex ", so without this one carrier ended up stored several ways
+    const shipment = {
+      carrier: normalizeCarrier(shipmentForm.carrier) || shipmentForm.carrier.trim(),
+      tracking_number: shipmentForm.tracking_number.trim(),
+    };
+    await ordersAPI.updateShipment(orderId, shipment);
+    setSelectedOrder(prev => ({ ...prev, ...shipment }));
+    setOrders(prev => prev.map(o => (o.order_id === orderId ? { ...o, ...shipment } : o)));
+    setActivityRefreshKey(key => key + 1);
+  };
+
+  // Save button in the detail modal's Shipment section
+  const handleSaveShipment = async () => {
+    setSavingShipment(true);
+    try {
+      await saveShipment(selectedOrder.order_id || selectedOrder.id);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to save tracking details');
+    } finally {
+      setSavingShipment(false);
+    }
+  };
+
+  // Tracking number as a link for known carriers, plain text otherwise
+  const renderTracking = (carrier, trackingNumber) => {
+    if (!trackingNumber) return '-';
+    const url = getTrackingUrl(carrier, trackingNumber);
+    const text = `${getCarrierLabel(carrier)} ${trackingNumber}`.trim();
+    return url ? (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">{text}</a>
+    ) : text;
+  };
+
+  // Carrier + tracking inputs - shared by the detail modal and the "mark as shipped" confirmation
+  // The carrier-options datalist (rendered once in the main render) suggests known carriers but any name can be typed in
+  const renderShipmentInputs = () => (
+    <div className="grid grid-cols-2 gap-3">
+      <input
+        list="carrier-options"
+        value={shipmentForm.carrier}
+        onChange={(e) => setShipmentForm({ ...shipmentForm, carrier: e.target.value })}
+        placeholder="Carrier"
+        className="px-3 py-2 border rounded text-sm text-gray-900"
+      />
+      <input
+        value={shipmentForm.tracking_number}
+        onChange={(e) => setShipmentForm({ ...shipmentForm, tracking_number: e.target.value })}
+        placeholder="Tracking number"
+        className="px-3 py-2 border rounded text-sm text-gray-900 font-mono"
+      />
+    </div>
+  );
+
+  // Status buttons - cancelling goes through the refund flow so the stock gets put back
+  const handleStatusAction = (status) => {
+    if (status === 'CANCELLED') setRefundMode('cancel');
+    else setPendingStatus(status);
+  };
+
+  // After a refund/cancellation reload the order (refunded quantities, status) and the table row
+  const handleRefundComplete = () => {
+    setRefundMode(null);
+    loadOrderDetail(selectedOrder.order_id || selectedOrder.id);
+    fetchOrders();
+    setActivityRefreshKey(key => key + 1);
+  };
+
+  // ==================== PRINTABLE DOCUMENTS ====================
+  // Invoice shows prices, packing slip doesn't (it goes in the box)
+  // Uses the full order from getById since that has the items and addresses
+  const handlePrint = (type) => {
+    if (!printOrderDocuments(window.open('', '_blank'), [selectedOrder], type)) {
+      alert('The print window was blocked - please allow popups for the admin panel');
     }
   };
 
@@ -107,9 +595,23 @@ const OrderManagement = () => {
     return colors[status?.toUpperCase()] || 'text-gray-600';
   };
 
+  // Renders a clickable table header with an arrow showing the current sort direction
+  const renderSortableHeader = (label, field, align = 'left') => (
+    <th className={`px-4 py-3 ${align === 'right' ? 'text-right' : 'text-left'} text-sm font-medium text-gray-700`}>
+      <button
+        onClick={() => handleSort(field)}
+        className={`inline-flex items-center gap-1 hover:text-gray-900 ${align === 'right' ? 'flex-row-reverse' : ''}`}
+      >
+        {label}
+        {sortBy === field && (sortOrder === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+      </button>
+    </th>
+  );
+
   // ==================== LOADING STATE ====================
-  // Show spinner while fetching orders - same style as other loading states in app
-  if (loading) {
+  // Show spinner while fetching orders the first time - same style as other loading states in app
+  // Later fetches (filter/sort/page changes) only dim the table so the filter bar doesn't disappear
+  if (initialLoading) {
     return (
       <div className="flex items-center justify-center py-20">
         <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
@@ -125,28 +627,135 @@ const OrderManagement = () => {
         Order Management
       </h1>
 
+      {/* Carrier suggestions for the shipment inputs - rendered once since ids have to be unique */}
+      <datalist id="carrier-options">
+        {Object.values(CARRIERS).map(carrier => <option key={carrier.label} value={carrier.label} />)}
+      </datalist>
+
       {/* Error message display - only shows if there's an error */}
       {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
 
+      {/* ==================== FILTER BAR ==================== */}
+      {/* Filters are typed into a draft form and only applied on submit - then they go into the URL */}
+      <form onSubmit={applyFilters} className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+        {/* Order lookup - Enter submits the whole form, an exact ID/number match opens the order straight away */}
+        <div className="relative mb-3">
+          <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={filterForm.search}
+            onChange={(e) => setFilterForm({ ...filterForm, search: e.target.value })}
+            placeholder="Search by order ID, order number, customer name or email"
+            className="w-full pl-9 pr-3 py-2 border rounded text-sm text-gray-900 bg-white"
+          />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Status</label>
+            <select value={filterForm.status} onChange={(e) => setFilterForm({ ...filterForm, status: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+              <option value="">All</option>
+              {Object.keys(STATUS_TRANSITIONS).map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Customer Type</label>
+            <select value={filterForm.customer_type} onChange={(e) => setFilterForm({ ...filterForm, customer_type: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+              <option value="">All</option>
+              <option value="GUEST">Guest</option>
+              <option value="REGISTERED">Registered</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+            <input type="date" value={filterForm.date_from} onChange={(e) => setFilterForm({ ...filterForm, date_from: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+            <input type="date" value={filterForm.date_to} min={filterForm.date_from || undefined} onChange={(e) => setFilterForm({ ...filterForm, date_to: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Min Total ($)</label>
+            <input type="number" min="0" step="0.01" value={filterForm.min_total} onChange={(e) => setFilterForm({ ...filterForm, min_total: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 mb-1">Max Total ($)</label>
+            <input type="number" min={filterForm.min_total || 0} step="0.01" value={filterForm.max_total} onChange={(e) => setFilterForm({ ...filterForm, max_total: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+          </div>
+        </div>
+        <div className="flex items-center justify-end gap-3 mt-3">
+          {/* Export controls - on the left so they don't get mixed up with Apply */}
+          <div className="flex items-center gap-2 mr-auto">
+            <span className="text-xs font-medium text-gray-500">Export</span>
+            <select value={exportLevel} onChange={(e) => setExportLevel(e.target.value)} className="px-2 py-1 border rounded text-sm text-gray-900 bg-white">
+              <option value={EXPORT_LEVELS.ORDER}>One row per order</option>
+              <option value={EXPORT_LEVELS.ITEM}>One row per line item</option>
+            </select>
+            <button type="button" onClick={() => handleExport('csv')} disabled={exporting} className="flex items-center gap-1 px-3 py-1 border rounded text-sm text-gray-700 hover:bg-white disabled:opacity-50">
+              <Download size={14} /> CSV
+            </button>
+            <button type="button" onClick={() => handleExport('xlsx')} disabled={exporting} className="flex items-center gap-1 px-3 py-1 border rounded text-sm text-gray-700 hover:bg-white disabled:opacity-50">
+              <Download size={14} /> XLSX
+            </button>
+            {exporting && <span className="text-xs text-gray-500">Preparing export...</span>}
+            {/* Bulk tracking upload lives here too - it's the other "whole batch at once" action */}
+            <button type="button" onClick={() => setShowTrackingUpload(true)} className="flex items-center gap-1 px-3 py-1 border rounded text-sm text-gray-700 hover:bg-white ml-2">
+              <Upload size={14} /> Tracking CSV
+            </button>
+          </div>
+          {hasActiveFilters && (
+            <button type="button" onClick={clearFilters} className="text-sm text-gray-500 hover:text-gray-700">Clear Filters</button>
+          )}
+          <button type="submit" className="px-4 py-2 bg-primary text-white rounded-lg text-sm hover:bg-gray-800">Apply Filters</button>
+        </div>
+      </form>
+
+      {/* ==================== BULK ACTION BAR ==================== */}
+      {/* Only shows once something is ticked - sticks to the top so it stays reachable while scrolling */}
+      {selectedIds.length > 0 && (
+        <div className="sticky top-0 z-30 mb-4 px-4 py-3 bg-primary text-white rounded-lg flex flex-wrap items-center gap-3">
+          <span className="text-sm mr-auto">{selectedIds.length} selected</span>
+          <button onClick={() => setBulkAction('ship')} disabled={bulkRunning} className="px-3 py-1 bg-white text-gray-900 rounded text-sm hover:bg-gray-100 disabled:opacity-50">Mark Shipped</button>
+          <button onClick={() => setBulkAction('cancel')} disabled={bulkRunning} className="px-3 py-1 bg-red-500 text-white rounded text-sm hover:bg-red-600 disabled:opacity-50">Cancel Orders</button>
+          <button onClick={handleBulkPrint} disabled={bulkRunning} className="flex items-center gap-1 px-3 py-1 border border-gray-500 rounded text-sm hover:bg-gray-800 disabled:opacity-50">
+            <Printer size={14} /> Packing Slips
+          </button>
+          <button onClick={() => handleBulkExport('csv')} disabled={bulkRunning} className="flex items-center gap-1 px-3 py-1 border border-gray-500 rounded text-sm hover:bg-gray-800 disabled:opacity-50">
+            <Download size={14} /> CSV
+          </button>
+          <button onClick={() => handleBulkExport('xlsx')} disabled={bulkRunning} className="flex items-center gap-1 px-3 py-1 border border-gray-500 rounded text-sm hover:bg-gray-800 disabled:opacity-50">
+            <Download size={14} /> XLSX
+          </button>
+          <button onClick={() => setSelectedIds([])} disabled={bulkRunning} className="text-sm text-gray-300 hover:text-white disabled:opacity-50">Clear</button>
+          {bulkRunning && <span className="text-xs text-gray-300">Working...</span>}
+        </div>
+      )}
+
       {/* ==================== ORDERS TABLE ==================== */}
       {/* REQUIREMENT: Display order information including ID, addresses, totals */}
       {/* overflow-x-auto handles horizontal scroll on small screens */}
-      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      {/* Dimmed while a new page is loading so it's clear the rows are about to change */}
+      <div className={`overflow-x-auto border border-gray-200 rounded-lg transition-opacity ${loading ? 'opacity-50' : ''}`}>
         <table className="w-full">
           {/* Table Header */}
+          {/* Customer, Total, Status and Date are sortable - sorting happens on the backend */}
           <thead className="bg-gray-50 border-b">
             <tr>
+              {/* Select all on this page */}
+              <th className="px-4 py-3 w-8">
+                <input type="checkbox" checked={allOnPageSelected} onChange={toggleSelectAllOnPage} disabled={orders.length === 0} />
+              </th>
               {/* REQUIREMENT: "unique confirmation ID" - displayed first for easy reference */}
               <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Order ID</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Customer</th>
+              {renderSortableHeader('Customer', 'customer_name')}
               {/* REQUIREMENT: "total amount paid" */}
-              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Total ($)</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Status</th>
+              {renderSortableHeader('Total ($)', 'total_amount', 'right')}
+              {renderSortableHeader('Status', 'status')}
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Tracking</th>
               {/* REQUIREMENT: "shipping address" */}
               <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Shipping Address</th>
               {/* REQUIREMENT: "billing address" */}
               <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Billing Address</th>
-              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Date</th>
+              {renderSortableHeader('Date', 'created_at')}
               <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Actions</th>
             </tr>
           </thead>
@@ -155,11 +764,14 @@ const OrderManagement = () => {
           <tbody className="divide-y divide-gray-200">
             {/* Empty state - show friendly message when no orders exist */}
             {orders.length === 0 ? (
-              <tr><td colSpan="8" className="px-4 py-8 text-center text-gray-500">No orders found</td></tr>
+              <tr><td colSpan="10" className="px-4 py-8 text-center text-gray-500">{hasActiveFilters ? 'No orders match these filters' : 'No orders found'}</td></tr>
             ) : (
               // Map through orders and render each row
               orders.map((order) => (
-                <tr key={order.order_id} className="hover:bg-gray-50">
+                <tr key={order.order_id} className={selectedIds.includes(order.order_id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-4 py-3">
+                    <input type="checkbox" checked={selectedIds.includes(order.order_id)} onChange={() => toggleSelected(order.order_id)} />
+                  </td>
                   {/* Order ID - truncated for table, full ID in detail modal */}
                   <td className="px-4 py-3 text-sm font-mono">{truncateId(order.order_id)}</td>
                   {/* Customer name */}
@@ -168,11 +780,22 @@ const OrderManagement = () => {
                   <td className="px-4 py-3 text-sm text-right">{formatCurrency(order.total_amount)}</td>
                   {/* Status with color coding */}
                   <td className={`px-4 py-3 text-sm font-medium ${getStatusColor(order.status)}`}>{order.status}</td>
+                  {/* Carrier + tracking number - links straight to the carrier's tracking page */}
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">{renderTracking(order.carrier, order.tracking_number)}</td>
                   {/* Shipping address - truncated if too long */}
                   <td className="px-4 py-3 text-sm max-w-xs truncate">{order.shipping_location || '-'}</td>
-                  {/* Billing address - guests don't have separate billing, so show dash */}
+                  {/* Billing address - the real address tied to the card, not derived from shipping anymore */}
                   {/* REQUIREMENT: "require registered users to have a single billing address per registered CC" */}
-                  <td className="px-4 py-3 text-sm">{order.customer_type === 'GUEST' ? '—' : order.shipping_location?.split(',')[0] || '-'}</td>
+                  {/* Highlighted when it doesn't match the shipping address - worth a second look before fulfilment */}
+                  <td className={`px-4 py-3 text-sm max-w-xs ${billingDiffersFromShipping(order) ? 'bg-yellow-50' : ''}`}>
+                    {order.billing_address ? (
+                      <>
+                        <span className="block truncate">{formatAddressSummary(order.billing_address)}</span>
+                        {order.billing_address.card_last4 && <span className="block text-xs text-gray-500">{formatCardLast4(order.billing_address.card_last4)}</span>}
+                        {billingDiffersFromShipping(order) && <span className="block text-xs text-yellow-700 font-medium">Differs from shipping</span>}
+                      </>
+                    ) : '-'}
+                  </td>
                   {/* Order date with styled badge */}
                   <td className="px-4 py-3 text-sm">
                     <span className="px-2 py-1 bg-gray-100 rounded text-xs">{formatDate(order.created_at)}</span>
@@ -188,6 +811,20 @@ const OrderManagement = () => {
         </table>
       </div>
 
+      {/* ==================== PAGINATION ==================== */}
+      {/* Total count on the left, page size + prev/next on the right */}
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+        <span>{pagination.total} orders</span>
+        <div className="flex items-center gap-4">
+          <select value={limit} onChange={(e) => updateSearchParams({ limit: e.target.value, page: '' })} className="px-2 py-1 border rounded text-gray-900 bg-white">
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+          </select>
+          <button onClick={() => goToPage(page - 1)} disabled={page <= 1 || loading} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"><ChevronLeft size={18} /></button>
+          <span>Page {page} of {Math.max(pagination.totalPages || 1, 1)}</span>
+          <button onClick={() => goToPage(page + 1)} disabled={page >= (pagination.totalPages || 1) || loading} className="p-1 rounded hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed"><ChevronRight size={18} /></button>
+        </div>
+      </div>
+
       {/* ==================== ORDER DETAIL MODAL ==================== */}
       {/* Shows full order information when admin clicks "View" */}
       {/* REQUIREMENT: "display the order ID, shoe color, size, billing address, shipping address, and total amount" */}
@@ -201,7 +838,7 @@ const OrderManagement = () => {
             <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
               <h3 className="text-xl font-semibold">Order Details</h3>
               {/* Close button - clears selected order and hides modal */}
-              <button onClick={() => { setShowOrderDetail(false); setSelectedOrder(null); }} className="text-gray-500"><X size={24} /></button>
+              <button onClick={closeOrderDetail} className="text-gray-500"><X size={24} /></button>
             </div>
 
             {/* Modal Body - all the order details */}
@@ -229,6 +866,64 @@ const OrderManagement = () => {
                 </div>
               </div>
 
+              {/* Status Actions - only the valid next steps for this order are shown */}
+              {/* Nothing shows for DELIVERED/CANCELLED orders since those are final */}
+              {getNextStatuses(selectedOrder.status).length > 0 && (
+                <div className="border-t pt-4">
+                  <h4 className="font-medium mb-2">Update Status</h4>
+                  <div className="flex gap-3">
+                    {getNextStatuses(selectedOrder.status).map(status => (
+                      <button
+                        key={status}
+                        onClick={() => handleStatusAction(status)}
+                        className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                          status === 'CANCELLED'
+                            ? 'border border-red-300 text-red-600 hover:bg-red-50'
+                            : 'bg-primary text-white hover:bg-gray-800'
+                        }`}
+                      >
+                        {STATUS_ACTION_LABELS[status]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Shipment - carrier and tracking number, editable any time once the order exists */}
+              {selectedOrder.status?.toUpperCase() !== 'CANCELLED' && (
+                <div className="border-t pt-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="font-medium">Shipment</h4>
+                    {selectedOrder.tracking_number && <span className="text-sm">{renderTracking(selectedOrder.carrier, selectedOrder.tracking_number)}</span>}
+                  </div>
+                  {renderShipmentInputs()}
+                  <div className="flex justify-end mt-2">
+                    <button
+                      onClick={handleSaveShipment}
+                      disabled={savingShipment || !shipmentForm.tracking_number.trim()}
+                      className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      {savingShipment ? 'Saving...' : 'Save Tracking'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {/* Refunds - partial refunds are allowed on any order that isn't cancelled yet */}
+              {selectedOrder.status?.toUpperCase() !== 'CANCELLED' && selectedOrder.items?.length > 0 && (
+                <div className="border-t pt-4 flex items-center justify-between">
+                  <div>
+                    <h4 className="font-medium">Refunds</h4>
+                    {parseFloat(selectedOrder.refunded_amount) > 0 && (
+                      <p className="text-sm text-gray-500">${formatCurrency(selectedOrder.refunded_amount)} refunded so far</p>
+                    )}
+                  </div>
+                  <button onClick={() => setRefundMode('refund')} className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50">
+                    Refund Items
+                  </button>
+                </div>
+              )}
+
               {/* Customer Information Section */}
               <div className="border-t pt-4">
                 <h4 className="font-medium mb-2">Customer</h4>
@@ -242,16 +937,28 @@ const OrderManagement = () => {
                 <div>
                   <h4 className="font-medium mb-2">Shipping Address</h4>
                   <p className="text-sm">
-                    {selectedOrder.shipping_address?.full_name}<br />
-                    {selectedOrder.shipping_address?.address1}<br />
-                    {selectedOrder.shipping_address?.city}, {selectedOrder.shipping_address?.state}<br />
-                    {selectedOrder.shipping_address?.postal_code}
+                    {formatAddressLines(selectedOrder.shipping_address).map((line, idx) => <span key={idx} className="block">{line}</span>)}
                   </p>
                 </div>
-                <div>
+                {/* Billing address - the one registered to the card that paid, with the card's last 4 digits */}
+                {/* Yellow box when it doesn't match shipping - not necessarily wrong (gifts), but worth checking */}
+                <div className={addressesMatch(selectedOrder.billing_address, selectedOrder.shipping_address) ? '' : 'bg-yellow-50 border border-yellow-200 rounded-lg p-3 -m-3'}>
                   <h4 className="font-medium mb-2">Billing Address</h4>
-                  {/* For simplicity, showing same as shipping - could be different for registered users */}
-                  <p className="text-sm">{selectedOrder.shipping_address?.address1 || 'Same as shipping'}</p>
+                  {selectedOrder.billing_address ? (
+                    <p className="text-sm">
+                      {formatAddressLines(selectedOrder.billing_address).map((line, idx) => <span key={idx} className="block">{line}</span>)}
+                      {selectedOrder.billing_address.card_last4 && (
+                        <span className="block mt-1 text-gray-500">Card {formatCardLast4(selectedOrder.billing_address.card_last4)}</span>
+                      )}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-500">Not provided</p>
+                  )}
+                  {!addressesMatch(selectedOrder.billing_address, selectedOrder.shipping_address) && (
+                    <p className="flex items-center gap-1 text-xs text-yellow-700 font-medium mt-2">
+                      <AlertTriangle size={12} /> Billing and shipping addresses differ
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -264,7 +971,10 @@ const OrderManagement = () => {
                     {selectedOrder.items.map((item, index) => (
                       <div key={index} className="flex justify-between text-sm">
                         {/* Product name with color and size - key requirement */}
-                        <span>{item.name} ({item.color} / {item.size}) × {item.quantity}</span>
+                        <span>
+                          {item.name} ({item.color} / {item.size}) × {item.quantity}
+                          {item.refunded_quantity > 0 && <span className="ml-2 text-xs text-red-600">{item.refunded_quantity} refunded</span>}
+                        </span>
                         <span>${formatCurrency(item.price * item.quantity)}</span>
                       </div>
                     ))}
@@ -301,11 +1011,177 @@ const OrderManagement = () => {
                   </div>
                 </div>
               </div>
+
+              {/* Internal notes and the activity timeline (created, status changes, refunds, who did what) */}
+              <OrderActivityPanel order={selectedOrder} refreshKey={activityRefreshKey} />
             </div>
 
-            {/* Modal Footer - Close button */}
-            <div className="px-6 pb-6">
-              <button onClick={() => { setShowOrderDetail(false); setSelectedOrder(null); }} className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Close</button>
+            {/* Modal Footer - Print actions + Close button */}
+            <div className="px-6 pb-6 space-y-3">
+              <div className="flex gap-3">
+                <button onClick={() => handlePrint(DOCUMENT_TYPES.INVOICE)} className="flex-1 flex items-center justify-center gap-2 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                  <Printer size={16} /> Print Invoice
+                </button>
+                <button onClick={() => handlePrint(DOCUMENT_TYPES.PACKING_SLIP)} className="flex-1 flex items-center justify-center gap-2 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                  <Printer size={16} /> Print Packing Slip
+                </button>
+              </div>
+              <button onClick={closeOrderDetail} className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ==================== CANCEL / REFUND MODAL ==================== */}
+      {refundMode && selectedOrder && (
+        <RefundModal
+          order={selectedOrder}
+          cancelOrder={refundMode === 'cancel'}
+          onClose={() => setRefundMode(null)}
+          onComplete={handleRefundComplete}
+        />
+      )}
+
+      {/* ==================== TRACKING UPLOAD MODAL ==================== */}
+      {showTrackingUpload && (
+        <TrackingUploadModal
+          onClose={() => setShowTrackingUpload(false)}
+          onComplete={() => { setShowTrackingUpload(false); fetchOrders(); }}
+        />
+      )}
+
+      {/* ==================== BULK ACTION CONFIRMATION MODAL ==================== */}
+      {/* Lists which orders are affected - cancelling also asks for the refund reason */}
+      {bulkAction && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-md w-full">
+            <div className="p-6">
+              <div className="flex justify-center mb-4">
+                <div className="w-16 h-16 bg-yellow-100 rounded-full flex items-center justify-center">
+                  <AlertTriangle size={32} className="text-yellow-600" />
+                </div>
+              </div>
+              <h3 className="text-xl font-semibold text-center text-gray-900 mb-2">
+                {bulkAction === 'ship' ? 'Mark as Shipped' : 'Cancel Orders'}
+              </h3>
+              <p className="text-center text-gray-600 mb-4">
+                {bulkAction === 'ship'
+                  ? `Mark ${selectedIds.length} orders as SHIPPED?`
+                  : `Cancel ${selectedIds.length} orders, refund them in full and put their items back in stock?`}
+              </p>
+              <p className="text-center text-sm text-gray-500 mb-4">
+                Only ORDERED orders can be {bulkAction === 'ship' ? 'shipped' : 'cancelled'} - the rest will be reported as skipped.
+              </p>
+              {bulkAction === 'cancel' && (
+                <textarea
+                  value={bulkReason}
+                  onChange={(e) => setBulkReason(e.target.value)}
+                  placeholder="Reason (recorded on every refund)"
+                  rows={2}
+                  className="w-full px-3 py-2 border rounded-lg text-gray-900 mb-4"
+                />
+              )}
+              <div className="flex gap-3">
+                <button onClick={() => { setBulkAction(null); setBulkReason(''); }} disabled={bulkRunning} className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50">
+                  Back
+                </button>
+                <button
+                  onClick={runBulkStatusAction}
+                  disabled={bulkRunning || (bulkAction === 'cancel' && !bulkReason.trim())}
+                  className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50"
+                >
+                  {bulkRunning ? 'Working...' : 'Confirm'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ==================== BULK RESULTS MODAL ==================== */}
+      {/* Per-order report after a bulk run - failures in red with the reason so they can be followed up one by one */}
+      {bulkResults && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
+              <h3 className="text-xl font-semibold">{bulkResults.title}</h3>
+              <button onClick={closeBulkResults} className="text-gray-500"><X size={24} /></button>
+            </div>
+            <div className="p-6 space-y-4">
+              <p className="text-sm text-gray-600">
+                {bulkResults.results.filter(r => r.success).length} succeeded, {bulkResults.results.filter(r => !r.success).length} failed
+              </p>
+              <ul className="space-y-2">
+                {bulkResults.results.map(result => (
+                  <li key={result.orderId} className={`flex items-start gap-2 text-sm ${result.success ? 'text-green-700' : 'text-red-600'}`}>
+                    {result.success ? <CheckCircle size={16} className="mt-0.5 flex-shrink-0" /> : <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />}
+                    <span><span className="font-mono">{result.label}</span>{result.error && ` - ${result.error}`}</span>
+                  </li>
+                ))}
+              </ul>
+              <button onClick={closeBulkResults} className="w-full px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Done</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ==================== STATUS CHANGE CONFIRMATION MODAL ==================== */}
+      {/* Sits above the detail modal (z-[60]) - same layout as the product delete confirmation */}
+      {pendingStatus && selectedOrder && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60] p-4">
+          <div className="bg-white rounded-lg max-w-md w-full">
+            <div className="p-6">
+              {/* Warning Icon */}
+              <div className="flex justify-center mb-4">
+                <div className="w-16 h-16 bg-yellow-100 rounded-full flex items-center justify-center">
+                  <AlertTriangle size={32} className="text-yellow-600" />
+                </div>
+              </div>
+
+              <h3 className="text-xl font-semibold text-center text-gray-900 mb-2">
+                {STATUS_ACTION_LABELS[pendingStatus]}
+              </h3>
+
+              {/* Show the before -> after so there's no doubt what's about to happen */}
+              <p className="text-center text-gray-600 mb-2">
+                Change order {selectedOrder.order_number || truncateId(selectedOrder.order_id || selectedOrder.id)} from
+              </p>
+              <p className="text-center font-semibold mb-4">
+                <span className={getStatusColor(selectedOrder.status)}>{selectedOrder.status}</span>
+                {' → '}
+                <span className={getStatusColor(pendingStatus)}>{pendingStatus}</span>
+              </p>
+              <p className="text-center text-sm text-gray-500 mb-6">
+                {pendingStatus === 'CANCELLED' || pendingStatus === 'DELIVERED'
+                  ? 'This is a final status and cannot be changed afterwards.'
+                  : 'The customer will see the new status on their order.'}
+              </p>
+
+              {/* Shipping is when the tracking number is known - ask for it right here */}
+              {pendingStatus === 'SHIPPED' && (
+                <div className="mb-6">
+                  <p className="text-sm font-medium text-gray-700 mb-2">Carrier & tracking number</p>
+                  {renderShipmentInputs()}
+                </div>
+              )}
+
+              {/* Action Buttons */}
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setPendingStatus(null)}
+                  disabled={updatingStatus}
+                  className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={confirmStatusChange}
+                  disabled={updatingStatus}
+                  className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50"
+                >
+                  {updatingStatus ? 'Updating...' : 'Confirm'}
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -324,4 +1200,16 @@ export default OrderManagement;
 // 4. "Tax of 6% per product" - Tax displayed in price breakdown
 // 5. "Single admin interface" - Orders accessible through the unified admin panel
 //
-// Note: This is read-only - order status changes would need a separate endpoint if needed later
\ No newline at end of file
+// 6. Order lookup by full order ID, order number, customer name or email - exact matches open the modal directly
+//    plus /orders/:orderId deep links that open an order's detail modal
+// 7. Server-side pagination, filters (status, customer type, date range, total range) and sorting - all kept in the URL
+// 8. CSV/XLSX export of every order matching the current filters, per order or per line item
+// 9. Printable GREENSHOES invoice and packing slip (no prices) from the detail modal
+// 10. Cancel/refund selected line items with automatic restock (RefundModal)
+// 11. Carrier + tracking number per order (table column, detail modal, bulk CSV upload) with carrier tracking links
+// 12. Real billing address (name, lines, city, state, postal code, card last 4) with billing/shipping mismatches highlighted
+// 13. Internal notes and an activity timeline per order, with the acting admin from useAdminAuth()
+// 14. Bulk actions on ticked orders - mark shipped, cancel (with restock), print packing slips, export - with a per-order report
+// 15. "Order status workflow" - ORDERED -> SHIPPED -> DELIVERED (or CANCELLED) from the detail modal, confirmed before sending
+//
+// Note: Apart from status changes this is read-only
\ No newline at end of file
@@ -18,29 +18,43 @@
 
 
 // React imports - useState for lots of form/modal state, useEffect for initial data fetch
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+// useSearchParams - search/filters/sort live in the URL so a filtered view can be shared (same as the orders page)
+import { useSearchParams, Link } from 'react-router-dom';
 // Our API services - separated by resource type for cleaner code
-import { productsAPI, inventoryAPI, colorsAPI, sizesAPI } from '../services/api';
-// Lucide icons - X for closing modals, Trash2 for delete, Chevrons for expand/collapse, AlertTriangle for warnings
-import { X, Trash2, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
-
-// Base URL for images - strips /api from the API URL since images are served from root
-// Falls back to localhost for local development
-const API_BASE = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:4000';
-
-// Helper function to build full image URLs
-// Handles various cases: no image, already full URL, or relative path
-// REQUIREMENT: "display of multiple photos from different angles/colors" - this helps display them
-const getImageUrl = (imagePath) => {
-  if (!imagePath) return 'https://via.placeholder.com/100x100?text=No+Image';
-  if (imagePath.startsWith('http')) return imagePath; // Already a full URL
-  return `${API_BASE}${imagePath}`; // Prepend our base URL to relative paths
-};
-
-// Available product categories - hardcoded since these don't change often
-// Could move to database later if needed, but this keeps things simple for now
-// REQUIREMENT: "luxury shoe e-commerce platform" - categories reflect ladies' footwear focus
-const CATEGORIES = ['sneakers', 'sandals', 'boots', 'pumps', 'heels'];
+import { productsAPI, inventoryAPI, colorsAPI, sizesAPI, categoriesAPI } from '../services/api';
+// Lucide icons - X for closing modals, Trash2 for removing variants, Chevrons for expand/collapse, AlertTriangle for warnings, Archive for the archive modal
+import { X, Trash2, ChevronDown, ChevronUp, AlertTriangle, Upload, Percent, Eye, Search, Archive } from 'lucide-react';
+// Bulk import modal - a whole collection from one CSV/XLSX
+import ProductImportModal from '../components/ProductImportModal';
+// Size × color grid for the expanded inventory row
+import InventoryMatrix from '../components/InventoryMatrix';
+// Catalog colors as swatches in the variant editor - replaces the dropdown + free-text custom color
+import ColorSwatchPicker from '../components/ColorSwatchPicker';
+import { normalizeColorName } from '../utils/colors';
+// Categories now come from the API (managed on the Categories page) - these put them in parent/child order
+import { sortCategories, getActiveCategoryNames, formatCategoryOption } from '../utils/categories';
+
+// Image URL building (moved to utils/productImages.js) + reading color/view tags out of file names
+import { getImageUrl, parseImageFileName } from '../utils/productImages';
+// Existing images in the edit modal - reorder, main image, delete, color/view tags
+import ImageGalleryManager from '../components/ImageGalleryManager';
+// Resize/compress/strip EXIF before upload - raw camera files were timing out the upload
+import { processImages, formatFileSize, IMAGE_SETTINGS } from '../utils/imageProcessing';
+// Sale scheduling - scheduled/active/expired states and datetime-local conversions
+import { SALE_STATUS, SALE_STATUS_BADGES, getSaleStatus, toDateTimeInput, fromDateTimeInput, formatSaleDate } from '../utils/sales';
+// Bulk repricing - ticked rows or a whole category, % or $ change, before/after preview
+import BulkPriceModal from '../components/BulkPriceModal';
+import { formatPrice } from '../utils/bulkPricing';
+// Margin amount/% next to regular and sale prices, below-cost check for the sale modal
+import { calculateMargin, isBelowCost, getMarginClassName, formatMargin } from '../utils/margins';
+// Draft / published / hidden - new products start as drafts, preview shows them the way customers would
+import { PRODUCT_STATUS, PRODUCT_STATUS_BADGES, getProductStatus } from '../utils/productStatus';
+import ProductPreviewModal from '../components/ProductPreviewModal';
+import { PRODUCT_FILTER_KEYS, STOCK_FILTER_OPTIONS, filterProducts, sortProducts } from '../utils/productFilters';
+
+// Available product categories - moved to utils/categories.js, and from there to the database (categoriesAPI)
+// const CATEGORIES = ['sneakers', 'sandals', 'boots', 'pumps', 'heels'];
 
 const ProductManagement = () => {
   // ==================== STATE MANAGEMENT ====================
@@ -50,9 +64,14 @@ const ProductManagement = () => {
   const [products, setProducts] = useState([]);
   const [colors, setColors] = useState([]);  // Available colors for dropdowns
   const [sizes, setSizes] = useState([]);    // Available sizes for reference
+  const [categories, setCategories] = useState([]);  // From categoriesAPI, parent/child order - includes retired ones
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
+  // Low stock signals - default reorder threshold per category, and how many variants of each product are at/below theirs
+  const [categoryDefaults, setCategoryDefaults] = useState({});
+  const [lowStockCounts, setLowStockCounts] = useState({});  // product id -> { low, out }
+
   // Modal visibility state - controls which modal is shown
   const [showAddProduct, setShowAddProduct] = useState(false);
   const [showEditProduct, setShowEditProduct] = useState(false);
@@ -60,17 +79,25 @@ const ProductManagement = () => {
   const [productDetails, setProductDetails] = useState(null);        // Full details for inventory view
   const [expandedProduct, setExpandedProduct] = useState(null);      // Which product's inventory is expanded
 
-  // Delete confirmation modal state
-  // Using a confirmation modal because deletes are destructive and irreversible
-  const [showDeleteModal, setShowDeleteModal] = useState(false);
-  const [productToDelete, setProductToDelete] = useState(null);
-  const [deleting, setDeleting] = useState(false);  // Prevents double-clicks during API call
+  // Archive confirmation modal state
+  // Archive replaced Delete as the row action - a mis-click used to wipe the product and its order history context
+  // Permanent deletes only happen from the Archived page now
+  const [showArchiveModal, setShowArchiveModal] = useState(false);
+  const [productToArchive, setProductToArchive] = useState(null);
+  const [archiving, setArchiving] = useState(false);  // Prevents double-clicks during API call
 
   // Sale modal state
   // REQUIREMENT: "Administrator to place items in the inventory on sale"
   const [showSaleModal, setShowSaleModal] = useState(false);
   const [productForSale, setProductForSale] = useState(null);
   const [salePrice, setSalePrice] = useState('');
+  // Optional schedule - datetime-local values, empty = starts now / never ends
+  const [saleStartsAt, setSaleStartsAt] = useState('');
+  const [saleEndsAt, setSaleEndsAt] = useState('');
+  // Sale price below cost_price - only allowed after ticking the override and giving a reason
+  // Also used by the edit modal, where raising the cost price can push a running/scheduled sale below cost
+  const [belowCostConfirmed, setBelowCostConfirmed] = useState(false);
+  const [belowCostReason, setBelowCostReason] = useState('');
 
   // Product form state - used for both add and edit
   // REQUIREMENT: "Administrator to change the price of items" - cost_price and selling_price here
@@ -85,13 +112,41 @@ const ProductManagement = () => {
   // Variants state - color + sizes combinations
   // REQUIREMENT: "add or modify the quantities of items in the inventory per size and color"
   // Each variant is a color with multiple size/quantity pairs
+  // (isCustomColor used to flag the free-text color input - gone now that colors come from the catalog swatch picker)
   const [variants, setVariants] = useState([
-    { color: '', sizes: [{ value: '', quantity: '' }], isCustomColor: false }
+    { color: '', sizes: [{ value: '', quantity: '' }] }
   ]);
 
   // Image upload state
   // REQUIREMENT: "add items in the inventory with multiple pictures"
+  // Entries are already processed: [{ file, originalSize, width, height }] - see utils/imageProcessing.js
   const [selectedImages, setSelectedImages] = useState([]);
+  const [imageProcessing, setImageProcessing] = useState(false);
+
+  // Existing images of the product being edited - [{ id, url, is_main, color, view }] in display order
+  // galleryImageIds remembers what was there when the modal opened, so removed ones can be deleted on save
+  const [galleryImages, setGalleryImages] = useState([]);
+  const [galleryImageIds, setGalleryImageIds] = useState([]);
+  // Product whose images the gallery is loading - opening Edit on A then quickly on B must not let A's late
+  // response land in B's gallery (saving would then send A's image ids and order against B)
+  const galleryProductIdRef = useRef(null);
+  const [galleryLoading, setGalleryLoading] = useState(false);
+
+  // Bulk import modal - CSV/XLSX with a dry-run preview before anything is created
+  const [showImport, setShowImport] = useState(false);
+
+  // Bulk price change - ticked product ids feed the modal's "Selected products" scope
+  const [selectedProductIds, setSelectedProductIds] = useState([]);
+  const [showBulkPrice, setShowBulkPrice] = useState(false);
+
+  // Product open in the customer preview
+  const [previewProduct, setPreviewProduct] = useState(null);
+
+  // Product being duplicated into the add modal (null for a normal Add Product) - shown in the modal header
+  const [duplicateSource, setDuplicateSource] = useState(null);
+
+  // Search, filters and sort - the URL query string is the single source of truth (?search=&category=&sort_by=...)
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // ==================== DATA FETCHING ====================
   
@@ -100,27 +155,62 @@ const ProductManagement = () => {
     fetchData();
   }, []);
 
+  // Drop ticked products the current filters hide - otherwise "Selected products" in the bulk price modal
+  // would still change rows the admin can't see any more (same idea as the orders page clearing its selection)
+  // Sorting doesn't change which rows are shown, so only the filters matter here
+  useEffect(() => {
+    const currentFilters = Object.fromEntries(PRODUCT_FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+    const shownIds = new Set(filterProducts(products, currentFilters, lowStockCounts, categories).map(p => p.id));
+    setSelectedProductIds(prev => {
+      const kept = prev.filter(id => shownIds.has(id));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [searchParams, products, lowStockCounts, categories]);
+
   // Main data fetch function - gets products, colors, and sizes in parallel
-  // Using Promise.all for efficiency - all three requests run simultaneously
+  // Using Promise.all for efficiency - all four requests run simultaneously (categories joined once they moved to the API)
   const fetchData = async () => {
     try {
       setLoading(true);
-      const [productsRes, colorsRes, sizesRes] = await Promise.all([
+      const [productsRes, colorsRes, sizesRes, categoriesRes] = await Promise.all([
         productsAPI.getAll(),
         colorsAPI.getAll(),
         sizesAPI.getAll(),
+        categoriesAPI.getAll(),
       ]);
       
       // Set state with fallbacks to empty arrays to prevent undefined errors
       setProducts(productsRes.data.products || []);
       setColors(colorsRes.data.colors || colorsRes.data || []);
       setSizes(sizesRes.data.sizes || sizesRes.data || []);
+      setCategories(sortCategories(categoriesRes.data.categories || []));
     } catch (err) {
       setError('Failed to load data');
       console.error(err);
     } finally {
       setLoading(false);
     }
+    fetchStockAlerts();
+  };
+
+  // Low stock badges - loaded separately so the table still works if this part fails
+  const fetchStockAlerts = async () => {
+    try {
+      const [lowStockRes, thresholdsRes] = await Promise.all([
+        inventoryAPI.getLowStock(),
+        inventoryAPI.getThresholdDefaults(),
+      ]);
+      const counts = {};
+      (lowStockRes.data.variants || []).forEach(v => {
+        counts[v.product_id] = counts[v.product_id] || { low: 0, out: 0 };
+        if ((parseInt(v.quantity) || 0) <= 0) counts[v.product_id].out += 1;
+        else counts[v.product_id].low += 1;
+      });
+      setLowStockCounts(counts);
+      setCategoryDefaults(thresholdsRes.data.thresholds || {});
+    } catch (err) {
+      console.error('Failed to load low stock alerts:', err);
+    }
   };
 
   // Fetch detailed product info - needed for inventory management
@@ -152,6 +242,11 @@ const ProductManagement = () => {
         alert('Please fill in all required fields');
         return;
       }
+      // The swatch picker isn't a form field, so the old select's "required" has to be checked here
+      if (variants.some(v => !v.color)) {
+        alert('Please pick a color for every variant');
+        return;
+      }
 
       // Using FormData because we're uploading files (images)
       // Can't use JSON for file uploads - has to be multipart/form-data
@@ -161,6 +256,8 @@ const ProductManagement = () => {
       formData.append('category', productForm.category);
       formData.append('cost_price', productForm.cost_price);
       formData.append('selling_price', productForm.selling_price);
+      // Not live until someone publishes it - images/variants can still be finished off via Edit
+      formData.append('status', PRODUCT_STATUS.DRAFT);
       
       // Format variants for the backend
       // REQUIREMENT: "different sizes and color options for each object"
@@ -175,7 +272,7 @@ const ProductManagement = () => {
 
       // Append each image file
       // REQUIREMENT: "add items in the inventory with multiple pictures"
-      selectedImages.forEach(file => {
+      selectedImages.forEach(({ file }) => {
         console.log('Appending image:', file.name);  // Debug logging
         formData.append('images', file);
       });
@@ -192,6 +289,7 @@ const ProductManagement = () => {
       setProductForm({ name: '', description: '', category: '', cost_price: '', selling_price: '' });
       setVariants([{ color: '', sizes: [{ value: '', quantity: '' }] }]);
       setSelectedImages([]);
+      setDuplicateSource(null);
       
       // Refresh the products list to show the new product
       // REQUIREMENT: "update inventory in real-time with immediate user visibility"
@@ -205,6 +303,10 @@ const ProductManagement = () => {
   // REQUIREMENT: "Administrator to change the price of items in the inventory"
   const handleEditProduct = async (e) => {
     e.preventDefault();
+    if (editNeedsBelowCostOverride()) {
+      alert('The new cost price puts the sale below cost - tick "Sell below cost anyway" and give a reason, or change the sale first');
+      return;
+    }
     try {
       const formData = new FormData();
       formData.append('name', productForm.name);
@@ -212,6 +314,11 @@ const ProductManagement = () => {
       formData.append('category', productForm.category);
       formData.append('cost_price', productForm.cost_price);
       formData.append('selling_price', productForm.selling_price);
+      // Same override the sale modal sends - only when the running/scheduled sale ends up below the new cost
+      if (editSaleBelowCost()) {
+        formData.append('below_cost_override', 'true');
+        formData.append('below_cost_reason', belowCostReason.trim());
+      }
 
       // Add variants if any have been filled in
       // Only include variants that actually have data - filter out empty ones
@@ -228,11 +335,33 @@ const ProductManagement = () => {
       }
 
       // Add images if any selected - these are NEW images to add
-      selectedImages.forEach(file => {
+      selectedImages.forEach(({ file }) => {
         formData.append('images', file);
       });
 
       await productsAPI.update(selectedProduct.id, formData);
+
+      // Gallery changes go after the product itself - deletes first, then order/main/tags for what's left
+      try {
+        const keptIds = galleryImages.map(image => image.id);
+        for (const imageId of galleryImageIds.filter(id => !keptIds.includes(id))) {
+          await productsAPI.deleteImage(selectedProduct.id, imageId);
+        }
+        if (galleryImages.length > 0) {
+          await productsAPI.updateImages(selectedProduct.id, galleryImages.map((image, index) => ({
+            id: image.id,
+            sort_order: index,
+            is_main: !!image.is_main,
+            color: image.color || null,
+            view: image.view || null,
+          })));
+        }
+      } catch (err) {
+        // Product details are already saved at this point - say exactly what didn't stick
+        alert(err.response?.data?.error || 'Product saved, but the image changes failed - please try again');
+        fetchData();
+        return;
+      }
       
       // Clean up and refresh
       setShowEditProduct(false);
@@ -245,35 +374,38 @@ const ProductManagement = () => {
     }
   };
 
-  // ==================== DELETE FUNCTIONALITY ====================
-  // Using a confirmation modal pattern to prevent accidental deletes
+  // ==================== ARCHIVE FUNCTIONALITY ====================
+  // Still behind a confirmation modal, but nothing is lost - archived products can be restored from the Archived page
+  // const confirmDelete = ... productsAPI.delete(...) - moved to ArchivedProducts.jsx as "Delete permanently"
 
-  // Open delete confirmation modal
-  const openDeleteModal = (product) => {
-    setProductToDelete(product);
-    setShowDeleteModal(true);
+  // Open archive confirmation modal
+  const openArchiveModal = (product) => {
+    setProductToArchive(product);
+    setShowArchiveModal(true);
   };
 
-  // Close delete confirmation modal - user cancelled
-  const closeDeleteModal = () => {
-    setShowDeleteModal(false);
-    setProductToDelete(null);
+  // Close archive confirmation modal - user cancelled
+  const closeArchiveModal = () => {
+    setShowArchiveModal(false);
+    setProductToArchive(null);
   };
 
-  // Confirm and execute delete
-  // Only runs when user explicitly confirms in the modal
-  const confirmDelete = async () => {
-    if (!productToDelete) return;
+  // Confirm and archive - the product leaves the storefront and this table
+  const confirmArchive = async () => {
+    if (!productToArchive) return;
     
-    setDeleting(true);  // Disable button to prevent double-clicks
+    setArchiving(true);  // Disable button to prevent double-clicks
     try {
-      await productsAPI.delete(productToDelete.id);
+      await productsAPI.archive(productToArchive.id);
+      // Don't keep an archived product ticked or expanded
+      setSelectedProductIds(prev => prev.filter(id => id !== productToArchive.id));
+      if (expandedProduct === productToArchive.id) setExpandedProduct(null);
       fetchData();  // Refresh list
-      closeDeleteModal();
+      closeArchiveModal();
     } catch (err) {
-      alert(err.response?.data?.error || 'Failed to delete product');
+      alert(err.response?.data?.error || 'Failed to archive product');
     } finally {
-      setDeleting(false);
+      setArchiving(false);
     }
   };
 
@@ -282,11 +414,26 @@ const ProductManagement = () => {
   // REQUIREMENT: "emphasize 'on Sale' items in the landing page" - this is how admin marks them
 
   // Open sale modal with suggested price
+  // Scheduled/active sales open with their current price + dates so they can be edited
   const openSaleModal = (product) => {
     setProductForSale(product);
-    // Suggest a sale price (e.g., 20% off selling price) - just a helpful default
-    const suggestedSalePrice = Math.floor(parseFloat(product.selling_price) * 0.8);
-    setSalePrice(suggestedSalePrice.toString());
+    const status = getSaleStatus(product);
+    if (status === SALE_STATUS.SCHEDULED || status === SALE_STATUS.ACTIVE) {
+      setSalePrice(String(parseFloat(product.sale_price)));
+      setSaleStartsAt(toDateTimeInput(product.sale_starts_at));
+      setSaleEndsAt(toDateTimeInput(product.sale_ends_at));
+      // Keep an existing override so editing the dates doesn't ask for the reason again
+      setBelowCostConfirmed(!!product.below_cost_reason);
+      setBelowCostReason(product.below_cost_reason || '');
+    } else {
+      // Suggest a sale price (e.g., 20% off selling price) - just a helpful default
+      const suggestedSalePrice = Math.floor(parseFloat(product.selling_price) * 0.8);
+      setSalePrice(suggestedSalePrice.toString());
+      setSaleStartsAt('');
+      setSaleEndsAt('');
+      setBelowCostConfirmed(false);
+      setBelowCostReason('');
+    }
     setShowSaleModal(true);
   };
 
@@ -295,14 +442,46 @@ const ProductManagement = () => {
     setShowSaleModal(false);
     setProductForSale(null);
     setSalePrice('');
+    setSaleStartsAt('');
+    setSaleEndsAt('');
+    setBelowCostConfirmed(false);
+    setBelowCostReason('');
   };
 
-  // Mark product on sale with the specified sale price
+  // Problem with the schedule, if any - shown under the date inputs and blocks the save
+  const getSaleScheduleError = () => {
+    if (saleEndsAt && new Date(saleEndsAt) <= new Date()) return 'End time is in the past';
+    if (saleStartsAt && saleEndsAt && new Date(saleEndsAt) <= new Date(saleStartsAt)) return 'End time must be after the start time';
+    return '';
+  };
+
+  // Selling at a loss is sometimes on purpose (clearing old stock) - but never by accident
+  // Returns true while the sale price is below cost and the override isn't complete
+  const needsBelowCostOverride = () => (
+    !!productForSale && isBelowCost(salePrice, productForSale.cost_price) && (!belowCostConfirmed || !belowCostReason.trim())
+  );
+
+  // Edit modal version - the sale price stays put but the cost price can move under it
+  // Only running or scheduled sales count, an expired sale's price isn't charged to anyone
+  const editSaleBelowCost = () => {
+    if (!selectedProduct) return false;
+    const saleStatus = getSaleStatus(selectedProduct);
+    return (saleStatus === SALE_STATUS.ACTIVE || saleStatus === SALE_STATUS.SCHEDULED)
+      && isBelowCost(selectedProduct.sale_price, productForm.cost_price);
+  };
+  const editNeedsBelowCostOverride = () => editSaleBelowCost() && (!belowCostConfirmed || !belowCostReason.trim());
+
+  // Mark product on sale with the specified sale price (and optional schedule)
   const handleMarkOnSale = async () => {
-    if (!productForSale || !salePrice) return;
+    if (!productForSale || !salePrice || getSaleScheduleError() || needsBelowCostOverride()) return;
     
     try {
-      await productsAPI.markOnSale(productForSale.id, parseFloat(salePrice));
+      await productsAPI.markOnSale(productForSale.id, parseFloat(salePrice), {
+        starts_at: fromDateTimeInput(saleStartsAt),
+        ends_at: fromDateTimeInput(saleEndsAt),
+        // Only sent when the price really is below cost - an old reason shouldn't stick to a profitable sale
+        below_cost_reason: isBelowCost(salePrice, productForSale.cost_price) ? belowCostReason.trim() : null,
+      });
       fetchData();  // Refresh to show sale badge
       closeSaleModal();
     } catch (err) {
@@ -320,6 +499,65 @@ const ProductManagement = () => {
     }
   };
 
+  // ==================== DUPLICATE PRODUCT ====================
+  // New colorways share almost everything with the original - description, category, prices, size run
+  // Opens the add modal pre-filled from the source product: same variants, every quantity 0, no images
+  // The list endpoint doesn't have the variants, so this needs the full product first
+  const openDuplicateModal = async (product) => {
+    try {
+      const response = await productsAPI.getById(product.id);
+      const details = response.data;
+      // const getColorName = (colorId) => (details.colors || []).find(c => c.id === colorId)?.value || '';
+      // The product's own color strings can be "Navy" or "navy " from before the catalog - the swatch picker
+      // only selects exact catalog names, so map onto the catalog entry (by name, then by id)
+      // No match -> '' so the admin has to pick a color instead of the copy silently carrying an off-catalog one
+      const getColorName = (colorId) => {
+        const productColor = (details.colors || []).find(c => c.id === colorId);
+        if (!productColor) return '';
+        const catalogColor = colors.find(c => normalizeColorName(c.name) === normalizeColorName(productColor.value || productColor.name))
+          || colors.find(c => c.id === colorId);
+        return catalogColor ? catalogColor.name : '';
+      };
+      // One variant per color, sizes in numeric order - same shape addVariant() builds
+      const byColor = new Map();
+      (details.variants || []).forEach(v => {
+        if (!byColor.has(v.color_id)) byColor.set(v.color_id, []);
+        byColor.get(v.color_id).push(v.size);
+      });
+      const duplicatedVariants = [...byColor.entries()].map(([colorId, sizeValues]) => ({
+        color: getColorName(colorId),
+        sizes: [...new Set(sizeValues)]
+          .sort((a, b) => parseFloat(a) - parseFloat(b))
+          .map(value => ({ value: String(value), quantity: '0' })),
+      }));
+
+      setProductForm({
+        name: `${product.name} (Copy)`,
+        description: product.description || '',
+        category: product.category,
+        cost_price: product.cost_price,
+        selling_price: product.selling_price,
+      });
+      setVariants(duplicatedVariants.length > 0 ? duplicatedVariants : [{ color: '', sizes: [{ value: '', quantity: '' }] }]);
+      setSelectedImages([]);  // Pictures belong to the original colorway - new ones get picked in the modal
+      setDuplicateSource(product);
+      setShowAddProduct(true);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to load product to duplicate');
+    }
+  };
+
+  // Closing a duplicate throws the copied values away - otherwise the next plain "Add Product" would open pre-filled
+  const closeAddModal = () => {
+    setShowAddProduct(false);
+    if (duplicateSource) {
+      setProductForm({ name: '', description: '', category: '', cost_price: '', selling_price: '' });
+      setVariants([{ color: '', sizes: [{ value: '', quantity: '' }] }]);
+      setSelectedImages([]);
+      setDuplicateSource(null);
+    }
+  };
+
   // ==================== EDIT MODAL SETUP ====================
   
   // Opens edit modal and populates form with existing product data
@@ -334,9 +572,48 @@ const ProductManagement = () => {
     });
     // Reset variants and images for adding new ones
     // Existing variants are shown in the inventory section, not duplicated here
-    setVariants([{ color: '', sizes: [{ value: '', quantity: '' }], isCustomColor: false }]);
+    setVariants([{ color: '', sizes: [{ value: '', quantity: '' }] }]);
     setSelectedImages([]);
+    // A sale that's already below cost keeps its reason - it still has to be confirmed if the cost changes
+    setBelowCostConfirmed(false);
+    setBelowCostReason(product.below_cost_reason || '');
     setShowEditProduct(true);
+    loadGallery(product.id);
+  };
+
+  // Existing images for the gallery manager - the list endpoint only has main_image, so this needs the full product
+  // Images without tags get them from their file name (productname-color-view.png) - saved once the admin saves the form
+  const loadGallery = async (productId) => {
+    galleryProductIdRef.current = productId;
+    setGalleryImages([]);
+    setGalleryImageIds([]);
+    setGalleryLoading(true);
+    try {
+      const response = await productsAPI.getById(productId);
+      if (galleryProductIdRef.current !== productId) return;  // another product was opened meanwhile
+      const images = (response.data.images || [])
+        .slice()
+        .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+        .map(image => {
+          const url = image.image_url || image.url;
+          const parsed = parseImageFileName(url);
+          return {
+            id: image.id,
+            url,
+            is_main: !!image.is_main || url === response.data.main_image,
+            color: image.color || parsed.color,
+            view: image.view || parsed.view,
+          };
+        });
+      // Exactly one main image - older products may have none flagged
+      const mainIndex = Math.max(images.findIndex(image => image.is_main), 0);
+      setGalleryImages(images.map((image, index) => ({ ...image, is_main: index === mainIndex })));
+      setGalleryImageIds(images.map(image => image.id));
+    } catch (err) {
+      console.error('Failed to load product images:', err);
+    } finally {
+      if (galleryProductIdRef.current === productId) setGalleryLoading(false);
+    }
   };
 
   // ==================== INVENTORY MANAGEMENT ====================
@@ -357,29 +634,61 @@ const ProductManagement = () => {
     }
   };
 
-  // Update inventory quantity for a specific size/color combination
-  // REQUIREMENT: "Inventory quantity shall never BE negative" - enforced by min="0" on input
-  const handleUpdateInventory = async (productId, sizeId, colorId, newQuantity) => {
+  // Called by the inventory grid after "Save all changes" - one refetch for the whole batch
+  // Saving itself (and the never-negative check) lives in InventoryMatrix
+  const handleInventorySaved = async (productId) => {
+    // Refresh both the details and the main list
+    await fetchProductDetails(productId);
+    // Only the products list, not fetchData() - its loading spinner would unmount the grid and lose the save summary
     try {
-      await inventoryAPI.update(productId, { sizeId, colorId, quantity: parseInt(newQuantity) });
-      // Refresh both the details and the main list
-      await fetchProductDetails(productId);
-      fetchData();  // Updates total_stock in the table
+      const productsRes = await productsAPI.getAll();
+      setProducts(productsRes.data.products || []);  // Updates total_stock in the table
     } catch (err) {
-      alert(err.response?.data?.error || 'Failed to update inventory');
+      console.error('Failed to refresh products:', err);
     }
+    fetchStockAlerts();  // Quantities or thresholds changed - badges may have too
+  };
+
+  // ==================== PRODUCT STATUS ====================
+  // Draft -> published (go live), published -> hidden (take down), etc.
+  // Updates the row in place instead of fetchData() so the table doesn't flash the loading spinner
+  const handleStatusChange = async (product, status) => {
+    if (status === PRODUCT_STATUS.PUBLISHED && !product.main_image
+      && !window.confirm(`${product.name} has no images yet. Publish it anyway?`)) return;
+    try {
+      await productsAPI.updateStatus(product.id, status);
+      setProducts(prev => prev.map(p => (p.id === product.id ? { ...p, status } : p)));
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to update product status');
+    }
+  };
+
+  // Colors only - after a new color was added on the Colors page without losing a half-filled form
+  const refreshColors = async () => {
+    try {
+      const response = await colorsAPI.getAll();
+      setColors(response.data.colors || []);
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to load colors');
+    }
+  };
+
+  // ==================== BULK SELECTION ====================
+  // Tick/untick one row for the bulk price change
+  const toggleProductSelection = (productId) => {
+    setSelectedProductIds(prev => (prev.includes(productId) ? prev.filter(id => id !== productId) : [...prev, productId]));
   };
 
   // ==================== VARIANT MANAGEMENT HELPERS ====================
   // These functions manage the dynamic variant form (color + sizes combinations)
   
   // Add a new empty variant (color with sizes)
-  const addVariant = () => setVariants([...variants, { color: '', sizes: [{ value: '', quantity: '' }], isCustomColor: false }]);
+  const addVariant = () => setVariants([...variants, { color: '', sizes: [{ value: '', quantity: '' }] }]);
   
   // Remove a variant - but keep at least one empty one
   const removeVariant = (index) => {
     const newVariants = variants.filter((_, i) => i !== index);
-    setVariants(newVariants.length > 0 ? newVariants : [{ color: '', sizes: [{ value: '', quantity: '' }], isCustomColor: false }]);
+    setVariants(newVariants.length > 0 ? newVariants : [{ color: '', sizes: [{ value: '', quantity: '' }] }]);
   };
 
   // Update the color for a variant
@@ -418,9 +727,18 @@ const ProductManagement = () => {
   // REQUIREMENT: "multiple photos from different angles/colors"
 
   // Handle image file selection - adds to existing selection
-  const handleImageSelect = (e) => {
+  // Each file is resized + compressed (WebP) + stripped of EXIF first; too-small or badly shaped ones are rejected
+  const handleImageSelect = async (e) => {
     const files = Array.from(e.target.files);
-    setSelectedImages(prev => [...prev, ...files]);
+    e.target.value = '';  // So picking the same file again after fixing it still fires onChange
+    if (files.length === 0) return;
+    setImageProcessing(true);
+    const { processed, errors } = await processImages(files);
+    setImageProcessing(false);
+    setSelectedImages(prev => [...prev, ...processed]);
+    if (errors.length > 0) {
+      alert(`${errors.length === files.length ? 'No images were added' : `${errors.length} image(s) were not added`}:\n\n${errors.join('\n')}`);
+    }
   };
 
   // Remove a selected image before upload
@@ -435,6 +753,54 @@ const ProductManagement = () => {
     );
   }
 
+  // ==================== SEARCH, FILTERS & SORTING ====================
+  // Filtering happens in the browser (the API returns every product), so unlike the orders page
+  // there's no Apply button - the table updates as you type
+
+  // Merge changes into the URL - empty values are removed so shared links stay short
+  // replace: typing in the search box shouldn't leave one history entry per keystroke
+  const updateSearchParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    setSearchParams(next, { replace: true });
+  };
+
+  // Clear all filters but keep the sort - same as the orders page
+  const clearFilters = () => updateSearchParams(Object.fromEntries(PRODUCT_FILTER_KEYS.map(key => [key, ''])));
+
+  // Clicking a column header sorts by it - clicking the same one again flips the direction
+  const sortBy = searchParams.get('sort_by') || '';
+  const sortOrder = searchParams.get('sort_order') || 'asc';
+  const handleSort = (field) => {
+    const nextOrder = sortBy === field && sortOrder === 'asc' ? 'desc' : 'asc';
+    updateSearchParams({ sort_by: field, sort_order: nextOrder });
+  };
+
+  const filters = Object.fromEntries(PRODUCT_FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+  const hasActiveFilters = PRODUCT_FILTER_KEYS.some(key => searchParams.get(key));
+  // Rows shown in the table - filtered, then sorted (no sort = the order the API returned them in)
+  const visibleProducts = sortProducts(filterProducts(products, filters, lowStockCounts, categories), sortBy, sortOrder);
+
+  // Retired categories can't be picked for products any more - the edit form keeps the product's current one so it still shows
+  const activeCategories = categories.filter(cat => !cat.retired);
+  const activeCategoryNames = getActiveCategoryNames(categories);
+
+  // Renders a clickable table header with an arrow showing the current sort direction
+  const renderSortableHeader = (label, field, align = 'left') => (
+    <th className={`px-4 py-3 ${align === 'right' ? 'text-right' : 'text-left'} text-sm font-medium text-gray-700`}>
+      <button
+        onClick={() => handleSort(field)}
+        className={`inline-flex items-center gap-1 hover:text-gray-900 ${align === 'right' ? 'flex-row-reverse' : ''}`}
+      >
+        {label}
+        {sortBy === field && (sortOrder === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />)}
+      </button>
+    </th>
+  );
+
   // ==================== MAIN RENDER ====================
   return (
     <div>
@@ -452,24 +818,123 @@ const ProductManagement = () => {
       <div className="mb-8">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-xl" style={{ fontFamily: "'Playfair Display', serif" }}>View all Products</h2>
-          <span className="text-sm text-gray-500">{products.length} products</span>
+          <div className="flex items-center gap-4">
+            <span className="text-sm text-gray-500">
+              {hasActiveFilters ? `${visibleProducts.length} of ${products.length} products` : `${products.length} products`}
+            </span>
+            {/* Bulk import - for whole collections, the Add Product button is still there for one-offs */}
+            <button onClick={() => setShowImport(true)} className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50">
+              <Upload size={16} /> Import Products
+            </button>
+            {/* Archived products - restore or delete permanently from there */}
+            <Link to="/products/archived" className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50">
+              <Archive size={16} /> Archived
+            </Link>
+            {/* Works without a selection too - the modal can target a whole category */}
+            <button onClick={() => setShowBulkPrice(true)} className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded text-sm hover:bg-gray-50">
+              <Percent size={16} /> Bulk Price Change
+            </button>
+          </div>
+        </div>
+
+        {/* ==================== FILTER BAR ==================== */}
+        <div className="mb-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+          <div className="relative mb-3">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={filters.search}
+              onChange={(e) => updateSearchParams({ search: e.target.value })}
+              placeholder="Search by product name or description"
+              className="w-full pl-9 pr-3 py-2 border rounded text-sm text-gray-900 bg-white"
+            />
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+            <div>
+              {/* Counts so drafts waiting to be published stand out */}
+              <label className="block text-xs font-medium text-gray-500 mb-1">Status</label>
+              <select value={filters.status} onChange={(e) => updateSearchParams({ status: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+                <option value="">All</option>
+                {Object.entries(PRODUCT_STATUS_BADGES).map(([status, badge]) => (
+                  <option key={status} value={status}>{badge.label} ({products.filter(p => getProductStatus(p) === status).length})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Category</label>
+              <select value={filters.category} onChange={(e) => updateSearchParams({ category: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+                <option value="">All</option>
+                {categories.map(cat => <option key={cat.id} value={cat.name}>{formatCategoryOption(cat)}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Sale</label>
+              <select value={filters.sale} onChange={(e) => updateSearchParams({ sale: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+                <option value="">All</option>
+                {Object.entries(SALE_STATUS_BADGES).map(([status, badge]) => <option key={status} value={status}>{badge.label}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Stock</label>
+              <select value={filters.stock} onChange={(e) => updateSearchParams({ stock: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white">
+                <option value="">All</option>
+                {STOCK_FILTER_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </select>
+            </div>
+            {/* Price range is on the current price - the sale price while a sale is running */}
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Min Price ($)</label>
+              <input type="number" min="0" step="0.01" value={filters.min_price} onChange={(e) => updateSearchParams({ min_price: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">Max Price ($)</label>
+              <input type="number" min={filters.min_price || 0} step="0.01" value={filters.max_price} onChange={(e) => updateSearchParams({ max_price: e.target.value })} className="w-full px-3 py-2 border rounded text-sm text-gray-900 bg-white" />
+            </div>
+          </div>
+          {hasActiveFilters && (
+            <div className="flex justify-end mt-3">
+              <button type="button" onClick={clearFilters} className="text-sm text-gray-500 hover:text-gray-700">Clear Filters</button>
+            </div>
+          )}
         </div>
 
+        {/* Selection bar - only while rows are ticked */}
+        {selectedProductIds.length > 0 && (
+          <div className="mb-4 px-4 py-3 bg-gray-900 text-white rounded-lg flex items-center justify-between">
+            <span className="text-sm">{selectedProductIds.length} selected</span>
+            <div className="flex items-center gap-2">
+              <button onClick={() => setShowBulkPrice(true)} className="px-3 py-1.5 bg-accent text-white rounded text-sm hover:opacity-90">Change Prices</button>
+              <button onClick={() => setSelectedProductIds([])} className="px-3 py-1.5 border border-gray-500 rounded text-sm hover:bg-gray-800">Clear</button>
+            </div>
+          </div>
+        )}
+
         <div className="overflow-x-auto border border-gray-200 rounded-lg">
           <table className="w-full">
             <thead className="bg-gray-50 border-b">
               <tr>
+                <th className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={visibleProducts.length > 0 && visibleProducts.every(p => selectedProductIds.includes(p.id))}
+                    onChange={(e) => setSelectedProductIds(e.target.checked ? visibleProducts.map(p => p.id) : [])}
+                  />
+                </th>
                 {/* REQUIREMENT: "display of multiple photos" - main image shown here */}
                 <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Image</th>
-                <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Product Name</th>
-                <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Category</th>
+                {renderSortableHeader('Product Name', 'name')}
+                {/* Draft / published / hidden - only published products are on the storefront */}
+                {renderSortableHeader('Status', 'status')}
+                {renderSortableHeader('Category', 'category')}
                 {/* REQUIREMENT: "different sizes and color options for each object" */}
                 <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Colors</th>
                 <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Sizes</th>
-                <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Total Stock</th>
+                {renderSortableHeader('Total Stock', 'total_stock', 'right')}
                 {/* REQUIREMENT: "Administrator to change the price of items" */}
-                <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Cost Price</th>
-                <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Selling Price</th>
+                {renderSortableHeader('Cost Price', 'cost_price', 'right')}
+                {renderSortableHeader('Selling Price', 'selling_price', 'right')}
+                {/* Regular margin, plus the sale margin while a sale is running or scheduled - sorts by regular margin % */}
+                {renderSortableHeader('Margin', 'margin', 'right')}
                 {/* REQUIREMENT: "Administrator to place items on sale" */}
                 <th className="px-4 py-3 text-center text-sm font-medium text-gray-700">Sale</th>
                 {/* REQUIREMENT: "Tax of 6% shall be applied per product" - displayed here */}
@@ -479,16 +944,23 @@ const ProductManagement = () => {
             </thead>
             <tbody className="divide-y divide-gray-200">
               {/* Empty state */}
-              {products.length === 0 ? (
+              {visibleProducts.length === 0 ? (
                 <tr>
-                  <td colSpan="11" className="px-4 py-8 text-center text-gray-500">No products found</td>
+                  <td colSpan="14" className="px-4 py-8 text-center text-gray-500">{hasActiveFilters ? 'No products match the current filters' : 'No products found'}</td>
                 </tr>
               ) : (
                 // Map through products and render each row
-                products.map((product) => (
+                visibleProducts.map((product) => (
                   // Using React.Fragment because we might render two rows (product + inventory)
                   <React.Fragment key={product.id}>
                     <tr className="hover:bg-gray-50">
+                      <td className="px-4 py-3">
+                        <input
+                          type="checkbox"
+                          checked={selectedProductIds.includes(product.id)}
+                          onChange={() => toggleProductSelection(product.id)}
+                        />
+                      </td>
                       {/* Product Image */}
                       <td className="px-4 py-3">
                         <img
@@ -502,10 +974,22 @@ const ProductManagement = () => {
                       {/* REQUIREMENT: "emphasize 'on Sale' items" - badge makes it obvious */}
                       <td className="px-4 py-3 text-sm font-medium">
                         {product.name}
-                        {product.on_sale && (
+                        {getSaleStatus(product) === SALE_STATUS.ACTIVE && (
                           <span className="ml-2 px-2 py-0.5 bg-red-500 text-white text-xs rounded">SALE</span>
                         )}
                       </td>
+                      {/* Status - badge colour on the select itself, changing it saves straight away */}
+                      <td className="px-4 py-3 text-sm">
+                        <select
+                          value={getProductStatus(product)}
+                          onChange={(e) => handleStatusChange(product, e.target.value)}
+                          className={`px-2 py-1 rounded text-xs border-0 cursor-pointer ${PRODUCT_STATUS_BADGES[getProductStatus(product)].className}`}
+                        >
+                          {Object.entries(PRODUCT_STATUS_BADGES).map(([status, badge]) => (
+                            <option key={status} value={status}>{badge.label}</option>
+                          ))}
+                        </select>
+                      </td>
                       <td className="px-4 py-3 text-sm capitalize">{product.category}</td>
                       {/* Colors - joined as comma-separated list */}
                       <td className="px-4 py-3 text-sm">{product.colors?.join(', ') || '-'}</td>
@@ -516,35 +1000,86 @@ const ProductManagement = () => {
                           : '-'}
                       </td>
                       {/* Total Stock - sum of all size/color quantities */}
-                      <td className="px-4 py-3 text-sm text-right">{product.total_stock || 0}</td>
+                      {/* Plus a badge when any size/color is at/below its reorder threshold - the total alone hides that */}
+                      <td className="px-4 py-3 text-sm text-right">
+                        {product.total_stock || 0}
+                        {lowStockCounts[product.id]?.out > 0 && (
+                          <span className="block mt-1 px-2 py-0.5 bg-red-100 text-red-700 text-xs rounded">{lowStockCounts[product.id].out} sold out</span>
+                        )}
+                        {lowStockCounts[product.id]?.low > 0 && (
+                          <span className="block mt-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded">{lowStockCounts[product.id].low} low</span>
+                        )}
+                      </td>
                       {/* Cost Price */}
-                      <td className="px-4 py-3 text-sm text-right">${parseFloat(product.cost_price || 0).toFixed(0)}</td>
+                      <td className="px-4 py-3 text-sm text-right">{formatPrice(product.cost_price || 0)}</td>
                       {/* Selling Price - shows sale price with strikethrough original if on sale */}
                       <td className="px-4 py-3 text-sm text-right">
-                        {product.on_sale && product.sale_price ? (
+                        {getSaleStatus(product) === SALE_STATUS.ACTIVE ? (
                           <div>
-                            <span className="text-red-600 font-semibold">${parseFloat(product.sale_price).toFixed(0)}</span>
-                            <span className="text-gray-400 line-through ml-1 text-xs">${parseFloat(product.selling_price || 0).toFixed(0)}</span>
+                            <span className="text-red-600 font-semibold">{formatPrice(product.sale_price)}</span>
+                            <span className="text-gray-400 line-through ml-1 text-xs">{formatPrice(product.selling_price || 0)}</span>
                             {/* Show percentage off for quick reference */}
                             <span className="block text-xs text-green-600 font-medium">
                               {Math.round(((parseFloat(product.selling_price) - parseFloat(product.sale_price)) / parseFloat(product.selling_price)) * 100)}% OFF
                             </span>
                           </div>
                         ) : (
-                          `$${parseFloat(product.selling_price || 0).toFixed(0)}`
+                          formatPrice(product.selling_price || 0)
                         )}
                       </td>
-                      {/* Sale Status Badge */}
+                      {/* Margin - regular price on top, sale price underneath when there is one */}
+                      <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                        {(() => {
+                          const regularMargin = calculateMargin(product.selling_price, product.cost_price);
+                          const saleStatus = getSaleStatus(product);
+                          const saleMargin = (saleStatus === SALE_STATUS.ACTIVE || saleStatus === SALE_STATUS.SCHEDULED)
+                            ? calculateMargin(product.sale_price, product.cost_price)
+                            : null;
+                          return (
+                            <div>
+                              <span className={getMarginClassName(regularMargin)}>{formatMargin(regularMargin)}</span>
+                              {saleMargin && (
+                                <span className={`block text-xs ${getMarginClassName(saleMargin)}`} title={product.below_cost_reason || undefined}>
+                                  Sale: {formatMargin(saleMargin)}
+                                </span>
+                              )}
+                            </div>
+                          );
+                        })()}
+                      </td>
+                      {/* Sale Status Badge - regular / scheduled / on sale / expired, plus the sale actions */}
                       <td className="px-4 py-3 text-sm text-center">
-                        {product.on_sale ? (
-                          <span className="px-2 py-1 bg-red-100 text-red-700 text-xs rounded font-medium">
-                            On Sale
-                          </span>
-                        ) : (
-                          <span className="px-2 py-1 bg-gray-100 text-gray-500 text-xs rounded">
-                            Regular
-                          </span>
-                        )}
+                        {(() => {
+                          const saleStatus = getSaleStatus(product);
+                          const badge = SALE_STATUS_BADGES[saleStatus];
+                          return (
+                            <>
+                              <span className={`px-2 py-1 text-xs rounded font-medium ${badge.className}`}>{badge.label}</span>
+                              {saleStatus === SALE_STATUS.SCHEDULED && (
+                                <span className="block mt-1 text-xs text-gray-500">from {formatSaleDate(product.sale_starts_at)}</span>
+                              )}
+                              {saleStatus === SALE_STATUS.ACTIVE && product.sale_ends_at && (
+                                <span className="block mt-1 text-xs text-gray-500">until {formatSaleDate(product.sale_ends_at)}</span>
+                              )}
+                              {saleStatus === SALE_STATUS.EXPIRED && (
+                                <span className="block mt-1 text-xs text-gray-500">ended {formatSaleDate(product.sale_ends_at)}</span>
+                              )}
+                              <div className="mt-1 text-xs whitespace-nowrap">
+                                <button onClick={() => openSaleModal(product)} className="text-blue-600 hover:underline">
+                                  {saleStatus === SALE_STATUS.SCHEDULED || saleStatus === SALE_STATUS.ACTIVE ? 'Edit sale' : 'Put on sale'}
+                                </button>
+                                {saleStatus !== SALE_STATUS.NONE && (
+                                  <>
+                                    <span className="text-gray-300 mx-1">•</span>
+                                    <button onClick={() => handleRemoveFromSale(product.id)} className="text-red-600 hover:underline">
+                                      {saleStatus === SALE_STATUS.EXPIRED ? 'Clear' : 'End sale'}
+                                    </button>
+                                  </>
+                                )}
+                              </div>
+                            </>
+                          );
+                        })()}
                       </td>
                       {/* Tax Rate - fixed at 6% per requirement */}
                       {/* REQUIREMENT: "Tax of 6% shall be applied per product" */}
@@ -554,12 +1089,20 @@ const ProductManagement = () => {
                         <div className="flex items-center gap-1 text-sm">
                           <button onClick={() => openEditModal(product)} className="text-blue-600 hover:underline">Edit</button>
                           <span className="text-gray-300">•</span>
+                          {/* Starting point for a new colorway - opens Add Product pre-filled */}
+                          <button onClick={() => openDuplicateModal(product)} className="text-blue-600 hover:underline">Duplicate</button>
+                          <span className="text-gray-300">•</span>
+                          {/* Read-only storefront-style view - check a draft before publishing it */}
+                          <button onClick={() => setPreviewProduct(product)} className="text-blue-600 hover:underline flex items-center gap-1">
+                            <Eye size={14} /> Preview
+                          </button>
+                          <span className="text-gray-300">•</span>
                           {/* Inventory toggle - expands row below to show size/color quantities */}
                           <button onClick={() => toggleInventory(product.id)} className="text-blue-600 hover:underline flex items-center gap-1">
                             Inventory {expandedProduct === product.id ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
                           </button>
                           <span className="text-gray-300">•</span>
-                          <button onClick={() => openDeleteModal(product)} className="text-red-600 hover:underline">Delete</button>
+                          <button onClick={() => openArchiveModal(product)} className="text-red-600 hover:underline">Archive</button>
                         </div>
                       </td>
                     </tr>
@@ -569,40 +1112,18 @@ const ProductManagement = () => {
                     {/* REQUIREMENT: "modify the quantities of items in the inventory per size and color" */}
                     {expandedProduct === product.id && productDetails && (
                       <tr>
-                        <td colSpan="10" className="px-4 py-4 bg-gray-50">
-                          <div className="max-w-2xl">
+                        <td colSpan="14" className="px-4 py-4 bg-gray-50">
+                          <div className="max-w-4xl">
                             <h4 className="font-medium mb-3">Inventory for {product.name}</h4>
-                            {/* Nested table for size/color/quantity combinations */}
-                            <table className="w-full border border-gray-200 rounded">
-                              <thead className="bg-white">
-                                <tr>
-                                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Size</th>
-                                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Color</th>
-                                  <th className="px-3 py-2 text-right text-sm font-medium text-gray-700">Quantity</th>
-                                  <th className="px-3 py-2 text-left text-sm font-medium text-gray-700">Action</th>
-                                </tr>
-                              </thead>
-                              <tbody className="divide-y divide-gray-200">
-                                {productDetails.variants?.map((inv, idx) => (
-                                  <tr key={inv.id || idx}>
-                                    <td className="px-3 py-2 text-sm text-right">{inv.size}</td>
-                                    <td className="px-3 py-2 text-sm capitalize">{productDetails.colors?.find(c => c.id === inv.color_id)?.value || '-'}</td>
-                                    {/* Quantity input - min="0" enforces "Inventory quantity shall never BE negative" */}
-                                    <td className="px-3 py-2 text-sm text-right">
-                                      <input type="number" defaultValue={inv.quantity} min="0" className="w-20 px-2 py-1 border rounded text-right text-gray-900 bg-white" id={`qty-${inv.id}`} />
-                                    </td>
-                                    <td className="px-3 py-2 text-sm">
-                                      {/* Update button - reads value from input and sends to API */}
-                                      <button onClick={() => handleUpdateInventory(product.id, inv.size_id, inv.color_id, document.getElementById(`qty-${inv.id}`).value)} className="text-blue-600 hover:underline">Update</button>
-                                    </td>
-                                  </tr>
-                                ))}
-                                {/* Empty state for inventory */}
-                                {(!productDetails.variants || productDetails.variants.length === 0) && (
-                                  <tr><td colSpan="4" className="px-3 py-4 text-center text-gray-500 text-sm">No inventory entries</td></tr>
-                                )}
-                              </tbody>
-                            </table>
+                            {/* Size × color grid - edit any number of cells, then one save */}
+                            {/* key resets unsaved edits when a different product is expanded */}
+                            <InventoryMatrix
+                              key={product.id}
+                              product={product}
+                              details={productDetails}
+                              categoryDefaults={categoryDefaults}
+                              onSaved={() => handleInventorySaved(product.id)}
+                            />
                           </div>
                         </td>
                       </tr>
@@ -623,51 +1144,81 @@ const ProductManagement = () => {
         </button>
       </div>
 
-      {/* ==================== DELETE CONFIRMATION MODAL ==================== */}
-      {/* Using a modal pattern to prevent accidental deletes */}
-      {/* Shows product name clearly and warns about permanent deletion */}
-      {showDeleteModal && productToDelete && (
+      {/* ==================== BULK IMPORT MODAL ==================== */}
+      {/* Refresh once the import is done so the new products show up in the table */}
+      {showImport && (
+        <ProductImportModal
+          categories={activeCategoryNames}
+          colors={colors}
+          existingProducts={products}
+          onClose={() => setShowImport(false)}
+          onComplete={() => { setShowImport(false); fetchData(); }}
+        />
+      )}
+
+      {/* ==================== CUSTOMER PREVIEW MODAL ==================== */}
+      {previewProduct && (
+        <ProductPreviewModal product={previewProduct} onClose={() => setPreviewProduct(null)} />
+      )}
+
+      {/* ==================== BULK PRICE CHANGE MODAL ==================== */}
+      {/* Selection is cleared after applying - the prices it was picked for have changed */}
+      {showBulkPrice && (
+        <BulkPriceModal
+          products={products}
+          selectedIds={selectedProductIds}
+          categories={activeCategoryNames}
+          allCategories={categories}
+          onClose={() => setShowBulkPrice(false)}
+          onComplete={() => { setShowBulkPrice(false); setSelectedProductIds([]); fetchData(); }}
+        />
+      )}
+
+      {/* ==================== ARCHIVE CONFIRMATION MODAL ==================== */}
+      {/* Using a modal pattern to prevent accidental archiving */}
+      {/* Shows product name clearly and explains where it goes */}
+      {showArchiveModal && productToArchive && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-lg max-w-md w-full">
             <div className="p-6">
-              {/* Warning Icon */}
+              {/* Archive Icon */}
               <div className="flex justify-center mb-4">
-                <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
-                  <AlertTriangle size={32} className="text-red-600" />
+                <div className="w-16 h-16 bg-gray-100 rounded-full flex items-center justify-center">
+                  <Archive size={32} className="text-gray-700" />
                 </div>
               </div>
 
               {/* Title */}
               <h3 className="text-xl font-semibold text-center text-gray-900 mb-2">
-                Delete Product
+                Archive Product
               </h3>
 
               {/* Message - shows product name clearly */}
               <p className="text-center text-gray-600 mb-2">
-                Are you sure you want to delete
+                Are you sure you want to archive
               </p>
               <p className="text-center font-semibold text-gray-900 mb-4">
-                "{productToDelete.name}"?
+                "{productToArchive.name}"?
               </p>
               <p className="text-center text-sm text-gray-500 mb-6">
-                This action cannot be undone. All inventory and images associated with this product will be permanently removed.
+                It will be hidden from the storefront and this list. Inventory, images and order history are kept - you can restore it from the Archived page.
               </p>
 
               {/* Action Buttons */}
               <div className="flex gap-3">
                 <button
-                  onClick={closeDeleteModal}
-                  disabled={deleting}
+                  onClick={closeArchiveModal}
+                  disabled={archiving}
                   className="flex-1 px-6 py-3 border border-gray-300 rounded-lg text-gray-700 font-medium hover:bg-gray-50 transition-colors disabled:opacity-50"
                 >
                   Cancel
                 </button>
                 <button
-                  onClick={confirmDelete}
-                  disabled={deleting}
+                  onClick={confirmArchive}
+                  disabled={archiving}
                   className="flex-1 px-6 py-3 bg-primary text-white rounded-lg font-medium hover:bg-gray-800 transition-colors disabled:opacity-50"
                 >
-                  {deleting ? 'Deleting...' : 'Confirm Deletion'}
+                  {archiving ? 'Archiving...' : 'Archive Product'}
                 </button>
               </div>
             </div>
@@ -702,11 +1253,18 @@ const ProductManagement = () => {
               <div className="bg-gray-50 rounded-lg p-4 mb-4">
                 <div className="flex justify-between text-sm mb-2">
                   <span className="text-gray-500">Current Selling Price:</span>
-                  <span className="font-medium">${parseFloat(productForSale.selling_price).toFixed(0)}</span>
+                  <span className="font-medium">{formatPrice(productForSale.selling_price)}</span>
                 </div>
-                <div className="flex justify-between text-sm">
+                <div className="flex justify-between text-sm mb-2">
                   <span className="text-gray-500">Cost Price:</span>
-                  <span className="font-medium">${parseFloat(productForSale.cost_price).toFixed(0)}</span>
+                  <span className="font-medium">{formatPrice(productForSale.cost_price)}</span>
+                </div>
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-500">Regular Margin:</span>
+                  {(() => {
+                    const margin = calculateMargin(productForSale.selling_price, productForSale.cost_price);
+                    return <span className={`font-medium ${getMarginClassName(margin)}`}>{formatMargin(margin)}</span>;
+                  })()}
                 </div>
               </div>
 
@@ -723,15 +1281,57 @@ const ProductManagement = () => {
                   className="w-full px-4 py-3 border rounded-lg text-gray-900"
                 />
                 <p className="text-xs text-gray-500 mt-1">
-                  Must be less than the selling price of ${parseFloat(productForSale.selling_price).toFixed(0)}
+                  Must be less than the selling price of {formatPrice(productForSale.selling_price)}
                 </p>
-                {/* Show percentage discount in real-time as they type */}
+                {/* Show percentage discount and the margin left in real-time as they type */}
                 {salePrice && parseFloat(salePrice) < parseFloat(productForSale.selling_price) && (
-                  <p className="text-sm text-green-600 mt-2">
-                    {Math.round(((parseFloat(productForSale.selling_price) - parseFloat(salePrice)) / parseFloat(productForSale.selling_price)) * 100)}% off
-                  </p>
+                  <div className="flex justify-between text-sm mt-2">
+                    <span className="text-green-600">
+                      {Math.round(((parseFloat(productForSale.selling_price) - parseFloat(salePrice)) / parseFloat(productForSale.selling_price)) * 100)}% off
+                    </span>
+                    {(() => {
+                      const margin = calculateMargin(salePrice, productForSale.cost_price);
+                      return <span className={getMarginClassName(margin)}>Sale margin: {formatMargin(margin)}</span>;
+                    })()}
+                  </div>
                 )}
+                {/* Below cost - needs the override tick box and a reason before the button unlocks */}
+                {isBelowCost(salePrice, productForSale.cost_price) && (
+                  <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg">
+                    <p className="flex items-center gap-2 text-sm text-red-700 font-medium mb-2">
+                      <AlertTriangle size={16} /> This sale price is below the cost price of {formatPrice(productForSale.cost_price)}
+                    </p>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+                      <input type="checkbox" checked={belowCostConfirmed} onChange={(e) => setBelowCostConfirmed(e.target.checked)} />
+                      Sell below cost anyway
+                    </label>
+                    {belowCostConfirmed && (
+                      <input
+                        type="text"
+                        value={belowCostReason}
+                        onChange={(e) => setBelowCostReason(e.target.value)}
+                        placeholder="Reason (e.g. clearing discontinued stock)"
+                        className="w-full px-3 py-2 border rounded-lg text-sm text-gray-900"
+                      />
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Optional schedule - the backend turns the sale on and off at these times */}
+              <div className="grid grid-cols-2 gap-3 mb-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Starts (optional)</label>
+                  <input type="datetime-local" value={saleStartsAt} onChange={(e) => setSaleStartsAt(e.target.value)} className="w-full px-3 py-2 border rounded-lg text-sm text-gray-900" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Ends (optional)</label>
+                  <input type="datetime-local" value={saleEndsAt} min={saleStartsAt || undefined} onChange={(e) => setSaleEndsAt(e.target.value)} className="w-full px-3 py-2 border rounded-lg text-sm text-gray-900" />
+                </div>
               </div>
+              <p className={`text-xs mb-6 ${getSaleScheduleError() ? 'text-red-600' : 'text-gray-500'}`}>
+                {getSaleScheduleError() || 'Leave Starts empty to start now, and Ends empty to run until you end it.'}
+              </p>
 
               {/* Action Buttons */}
               <div className="flex gap-3">
@@ -743,10 +1343,10 @@ const ProductManagement = () => {
                 </button>
                 <button
                   onClick={handleMarkOnSale}
-                  disabled={!salePrice || parseFloat(salePrice) >= parseFloat(productForSale.selling_price)}
+                  disabled={!salePrice || parseFloat(salePrice) >= parseFloat(productForSale.selling_price) || !!getSaleScheduleError() || needsBelowCostOverride()}
                   className="flex-1 px-6 py-3 bg-red-500 text-white rounded-lg font-medium hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  Put on Sale
+                  {saleStartsAt && new Date(saleStartsAt) > new Date() ? 'Schedule Sale' : 'Put on Sale'}
                 </button>
               </div>
             </div>
@@ -762,8 +1362,13 @@ const ProductManagement = () => {
           <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
             {/* Modal Header - sticky so close button is always accessible */}
             <div className="sticky top-0 bg-white px-6 py-4 border-b flex items-center justify-between">
-              <h3 className="text-xl font-semibold">ADD NEW PRODUCT</h3>
-              <button onClick={() => setShowAddProduct(false)} className="text-gray-500 hover:text-gray-700"><X size={24} /></button>
+              <div>
+                <h3 className="text-xl font-semibold">ADD NEW PRODUCT</h3>
+                {duplicateSource && (
+                  <p className="text-sm text-gray-500">Copy of {duplicateSource.name} - quantities reset to 0, add images for the new colorway</p>
+                )}
+              </div>
+              <button onClick={closeAddModal} className="text-gray-500 hover:text-gray-700"><X size={24} /></button>
             </div>
 
             <form onSubmit={handleAddProduct} className="p-6 space-y-4">
@@ -773,7 +1378,7 @@ const ProductManagement = () => {
               {/* Category Dropdown */}
               <select value={productForm.category} onChange={(e) => setProductForm({ ...productForm, category: e.target.value })} required className="w-full px-4 py-3 bg-gray-100 rounded-lg text-center text-gray-900 appearance-none cursor-pointer" style={{ backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='%23666'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'%3E%3C/path%3E%3C/svg%3E")`, backgroundRepeat: 'no-repeat', backgroundPosition: 'right 1rem center', backgroundSize: '1.5rem' }}>
                 <option value="">Category</option>
-                {CATEGORIES.map(cat => <option key={cat} value={cat}>{cat.charAt(0).toUpperCase() + cat.slice(1)}</option>)}
+                {activeCategories.map(cat => <option key={cat.id} value={cat.name}>{formatCategoryOption(cat)}</option>)}
               </select>
 
               {/* Price Inputs */}
@@ -806,57 +1411,16 @@ const ProductManagement = () => {
                 {/* Render each variant (color with its sizes) */}
                 {variants.map((variant, variantIdx) => (
                   <div key={variantIdx} className="mb-4 p-4 bg-gray-50 rounded-lg">
-                    {/* Color Selection - dropdown or custom text input */}
-                    <div className="flex items-center gap-2 mb-3">
-                      {variant.isCustomColor ? (
-                        // Custom color text input - for colors not in the predefined list
-                        <input
-                          type="text"
-                          value={variant.color}
-                          onChange={(e) => updateVariantColor(variantIdx, e.target.value.toLowerCase())}
-                          placeholder="Enter custom color (e.g., grey, burgundy)"
-                          className="flex-1 px-3 py-2 border-2 border-blue-500 rounded text-gray-900"
-                          required
-                        />
-                      ) : (
-                        // Color dropdown with option to add custom
-                        <select 
-                          value={variant.color} 
-                          onChange={(e) => {
-                            if (e.target.value === '__custom__') {
-                              // Switch to custom color input mode
-                              const newVariants = [...variants];
-                              newVariants[variantIdx].isCustomColor = true;
-                              newVariants[variantIdx].color = '';
-                              setVariants(newVariants);
-                            } else {
-                              updateVariantColor(variantIdx, e.target.value);
-                            }
-                          }} 
-                          className="flex-1 px-3 py-2 bg-primary text-white rounded appearance-none cursor-pointer" 
-                          style={{ backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='white'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'%3E%3C/path%3E%3C/svg%3E")`, backgroundRepeat: 'no-repeat', backgroundPosition: 'right 0.5rem center', backgroundSize: '1.5rem', paddingRight: '2.5rem' }} 
-                          required
-                        >
-                          <option value="">Select Color</option>
-                          {colors.map(c => <option key={c.id} value={c.value}>{c.value}</option>)}
-                          <option value="__custom__">+ Add Custom Color...</option>
-                        </select>
-                      )}
-                      {/* Cancel custom color button */}
-                      {variant.isCustomColor && (
-                        <button 
-                          type="button" 
-                          onClick={() => {
-                            const newVariants = [...variants];
-                            newVariants[variantIdx].isCustomColor = false;
-                            newVariants[variantIdx].color = '';
-                            setVariants(newVariants);
-                          }} 
-                          className="text-gray-500 hover:text-gray-700 text-sm"
-                        >
-                          Cancel
-                        </button>
-                      )}
+                    {/* Color Selection - swatches from the color catalog */}
+                    {/* The old dropdown + "+ Add Custom Color..." text input let typos become new colors ("Navy" vs "navy") */}
+                    <div className="flex items-start gap-2 mb-3">
+                      <ColorSwatchPicker
+                        colors={colors}
+                        value={variant.color}
+                        onChange={(color) => updateVariantColor(variantIdx, color)}
+                        disabledNames={variants.filter((_, i) => i !== variantIdx).map(v => v.color)}
+                        onRefresh={refreshColors}
+                      />
                       {/* Remove variant button - only show if more than one variant */}
                       {variants.length > 1 && <button type="button" onClick={() => removeVariant(variantIdx)} className="text-red-500"><Trash2 size={18} /></button>}
                     </div>
@@ -907,14 +1471,19 @@ const ProductManagement = () => {
                 <h4 className="font-medium mb-2">Product Images</h4>
                 {/* Naming convention helps organize images by color and angle */}
                 <p className="text-xs text-gray-500 mb-2">Name as: productname-color-view.png</p>
-                <input type="file" accept="image/*" multiple onChange={handleImageSelect} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+                <p className="text-xs text-gray-500 mb-2">At least {IMAGE_SETTINGS.minWidth}×{IMAGE_SETTINGS.minHeight}, width ÷ height between {IMAGE_SETTINGS.minAspectRatio} and {IMAGE_SETTINGS.maxAspectRatio} - resized to fit {IMAGE_SETTINGS.maxWidth}×{IMAGE_SETTINGS.maxHeight} and compressed before upload</p>
+                <input type="file" accept="image/*" multiple onChange={handleImageSelect} disabled={imageProcessing} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+                {/* Resized/compressed in the browser before upload - see utils/imageProcessing.js */}
+                {imageProcessing && <p className="text-xs text-gray-500 mt-2">Processing images...</p>}
                 {/* Preview selected images before upload */}
                 {selectedImages.length > 0 && (
                   <div className="mt-2 flex flex-wrap gap-2">
-                    {selectedImages.map((file, idx) => (
+                    {selectedImages.map((image, idx) => (
                       <div key={idx} className="relative">
-                        <img src={URL.createObjectURL(file)} alt="" className="w-16 h-16 object-cover rounded" />
+                        <img src={URL.createObjectURL(image.file)} alt="" className="w-16 h-16 object-cover rounded" />
                         <button type="button" onClick={() => removeImage(idx)} className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full w-4 h-4 text-xs">×</button>
+                        {/* Final upload size - hover for what it was before processing */}
+                        <p className="text-xs text-gray-500 w-16" title={`${image.width}×${image.height}, was ${formatFileSize(image.originalSize)}`}>{formatFileSize(image.file.size)}</p>
                       </div>
                     ))}
                   </div>
@@ -922,7 +1491,8 @@ const ProductManagement = () => {
               </div>
 
               {/* Submit Button */}
-              <button type="submit" className="w-full px-6 py-4 bg-primary text-white rounded-full tracking-wider hover:bg-gray-800">CREATE PRODUCT</button>
+              <p className="text-xs text-gray-500 text-center">New products are saved as drafts - publish them from the Status column once they're ready.</p>
+              <button type="submit" disabled={imageProcessing} className="w-full px-6 py-4 bg-primary text-white rounded-full tracking-wider hover:bg-gray-800 disabled:opacity-50">CREATE PRODUCT</button>
             </form>
           </div>
         </div>
@@ -951,7 +1521,9 @@ const ProductManagement = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
                 <select value={productForm.category} onChange={(e) => setProductForm({ ...productForm, category: e.target.value })} required className="w-full px-4 py-3 border rounded-lg text-gray-900">
                   <option value="">Select Category</option>
-                  {CATEGORIES.map(cat => <option key={cat} value={cat}>{cat.charAt(0).toUpperCase() + cat.slice(1)}</option>)}
+                  {categories
+                    .filter(cat => !cat.retired || cat.name === selectedProduct.category)
+                    .map(cat => <option key={cat.id} value={cat.name}>{formatCategoryOption(cat)}</option>)}
                 </select>
               </div>
 
@@ -966,6 +1538,49 @@ const ProductManagement = () => {
                   <input type="number" value={productForm.selling_price} onChange={(e) => setProductForm({ ...productForm, selling_price: e.target.value })} required className="w-full px-4 py-3 border rounded-lg text-gray-900" />
                 </div>
               </div>
+              {/* Margins update as the prices are typed - sale margin too if the product has a sale running/scheduled */}
+              {(() => {
+                const regularMargin = calculateMargin(productForm.selling_price, productForm.cost_price);
+                const saleStatus = getSaleStatus(selectedProduct);
+                const saleMargin = (saleStatus === SALE_STATUS.ACTIVE || saleStatus === SALE_STATUS.SCHEDULED)
+                  ? calculateMargin(selectedProduct.sale_price, productForm.cost_price)
+                  : null;
+                return (
+                  <div className="bg-gray-50 rounded-lg p-3 text-sm space-y-1">
+                    <div className="flex justify-between">
+                      <span className="text-gray-500">Regular Margin:</span>
+                      <span className={`font-medium ${getMarginClassName(regularMargin)}`}>{formatMargin(regularMargin)}</span>
+                    </div>
+                    {saleMargin && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-500">Sale Margin ({formatPrice(selectedProduct.sale_price)}):</span>
+                        <span className={`font-medium ${getMarginClassName(saleMargin)}`}>{formatMargin(saleMargin)}</span>
+                      </div>
+                    )}
+                  </div>
+                );
+              })()}
+              {/* Cost price raised above the sale price - same override as the sale modal before it can be saved */}
+              {editSaleBelowCost() && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                  <p className="flex items-center gap-2 text-sm text-red-700 font-medium mb-2">
+                    <AlertTriangle size={16} /> The {getSaleStatus(selectedProduct) === SALE_STATUS.SCHEDULED ? 'scheduled' : 'running'} sale price of {formatPrice(selectedProduct.sale_price)} is below this cost price
+                  </p>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+                    <input type="checkbox" checked={belowCostConfirmed} onChange={(e) => setBelowCostConfirmed(e.target.checked)} />
+                    Sell below cost anyway
+                  </label>
+                  {belowCostConfirmed && (
+                    <input
+                      type="text"
+                      value={belowCostReason}
+                      onChange={(e) => setBelowCostReason(e.target.value)}
+                      placeholder="Reason (e.g. clearing discontinued stock)"
+                      className="w-full px-3 py-2 border rounded-lg text-sm text-gray-900"
+                    />
+                  )}
+                </div>
+              )}
 
               {/* Description */}
               <div>
@@ -984,25 +1599,18 @@ const ProductManagement = () => {
 
                 {variants.map((variant, variantIdx) => (
                   <div key={variantIdx} className="mb-4 p-4 bg-gray-50 rounded-lg">
-                    <div className="flex items-center gap-2 mb-3">
-                      <select value={variant.color} onChange={(e) => updateVariantColor(variantIdx, e.target.value)} className="flex-1 px-3 py-2 bg-primary text-white rounded appearance-none cursor-pointer" style={{ backgroundImage: `url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' fill='none' viewBox='0 0 24 24' stroke='white'%3E%3Cpath stroke-linecap='round' stroke-linejoin='round' stroke-width='2' d='M19 9l-7 7-7-7'%3E%3C/path%3E%3C/svg%3E")`, backgroundRepeat: 'no-repeat', backgroundPosition: 'right 0.5rem center', backgroundSize: '1.5rem', paddingRight: '2.5rem' }}>
-                        <option value="">Select Color</option>
-                        {colors.map(c => <option key={c.id} value={c.value}>{c.value}</option>)}
-                        <option value="__new__">+ Add New Color...</option>
-                      </select>
+                    {/* Same swatch picker as the add modal - the "+ Add New Color..." text input is gone */}
+                    <div className="flex items-start gap-2 mb-3">
+                      <ColorSwatchPicker
+                        colors={colors}
+                        value={variant.color}
+                        onChange={(color) => updateVariantColor(variantIdx, color)}
+                        disabledNames={variants.filter((_, i) => i !== variantIdx).map(v => v.color)}
+                        onRefresh={refreshColors}
+                      />
                       {variants.length > 1 && <button type="button" onClick={() => removeVariant(variantIdx)} className="text-red-500"><Trash2 size={18} /></button>}
                     </div>
 
-                    {/* Custom color input when adding new color */}
-                    {variant.color === '__new__' && (
-                      <input
-                        type="text"
-                        placeholder="Enter new color name"
-                        className="w-full px-3 py-2 border rounded mb-3 text-gray-900"
-                        onChange={(e) => updateVariantColor(variantIdx, e.target.value)}
-                      />
-                    )}
-
                     <div className="space-y-2">
                       {variant.sizes.map((size, sizeIdx) => (
                         <div key={sizeIdx} className="flex items-center gap-2">
@@ -1034,18 +1642,33 @@ const ProductManagement = () => {
                 ))}
               </div>
 
+              {/* Existing Images - reorder, main image, delete, tags */}
+              {/* REQUIREMENT: "multiple photos from different angles/colors" */}
+              <div className="border-t pt-4">
+                <h4 className="font-medium mb-2">Images</h4>
+                {galleryLoading ? (
+                  <p className="text-sm text-gray-500">Loading images...</p>
+                ) : (
+                  <ImageGalleryManager images={galleryImages} colors={selectedProduct.colors || []} onChange={setGalleryImages} />
+                )}
+              </div>
+
               {/* Add New Images Section */}
               <div className="border-t pt-4">
                 <h4 className="font-medium mb-2">Add New Images</h4>
                 <p className="text-xs text-gray-500 mb-2">Name as: productname-color-view.png (e.g., siren-red-side.png)</p>
-                <input type="file" accept="image/*" multiple onChange={handleImageSelect} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+                <p className="text-xs text-gray-500 mb-2">At least {IMAGE_SETTINGS.minWidth}×{IMAGE_SETTINGS.minHeight}, width ÷ height between {IMAGE_SETTINGS.minAspectRatio} and {IMAGE_SETTINGS.maxAspectRatio} - resized to fit {IMAGE_SETTINGS.maxWidth}×{IMAGE_SETTINGS.maxHeight} and compressed before upload</p>
+                <input type="file" accept="image/*" multiple onChange={handleImageSelect} disabled={imageProcessing} className="w-full text-sm file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:bg-primary file:text-white" />
+                {/* Resized/compressed in the browser before upload - see utils/imageProcessing.js */}
+                {imageProcessing && <p className="text-xs text-gray-500 mt-2">Processing images...</p>}
                 {selectedImages.length > 0 && (
                   <div className="mt-2 flex flex-wrap gap-2">
-                    {selectedImages.map((file, idx) => (
+                    {selectedImages.map((image, idx) => (
                       <div key={idx} className="relative">
-                        <img src={URL.createObjectURL(file)} alt="" className="w-16 h-16 object-cover rounded" />
+                        <img src={URL.createObjectURL(image.file)} alt="" className="w-16 h-16 object-cover rounded" />
                         <button type="button" onClick={() => removeImage(idx)} className="absolute -top-1 -right-1 bg-red-500 text-white rounded-full w-4 h-4 text-xs">×</button>
-                        <p className="text-xs text-gray-500 truncate w-16">{file.name}</p>
+                        <p className="text-xs text-gray-500 truncate w-16">{image.file.name}</p>
+                        <p className="text-xs text-gray-500 w-16" title={`${image.width}×${image.height}, was ${formatFileSize(image.originalSize)}`}>{formatFileSize(image.file.size)}</p>
                       </div>
                     ))}
                   </div>
@@ -1055,7 +1678,7 @@ const ProductManagement = () => {
               {/* Action Buttons */}
               <div className="flex gap-4 pt-4">
                 <button type="button" onClick={() => { setShowEditProduct(false); setSelectedProduct(null); }} className="flex-1 px-6 py-3 border rounded-lg hover:bg-gray-50">Cancel</button>
-                <button type="submit" className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800">Save Changes</button>
+                <button type="submit" disabled={imageProcessing || editNeedsBelowCostOverride()} className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-gray-800 disabled:opacity-50">Save Changes</button>
               </div>
             </form>
           </div>
@@ -1073,15 +1696,29 @@ export default ProductManagement;
 // PRODUCT MANAGEMENT:
 // - "Admin to add items in the inventory with multiple pictures" ✓ (Add Product modal with image upload)
 // - "Administrator to change the price of items in the inventory" ✓ (Edit modal, price inputs)
-// - "Administrator to place items in the inventory on sale" ✓ (Sale modal)
+// - "Administrator to place items in the inventory on sale" ✓ (Sale modal - optional start/end, scheduled/active/expired in the table)
+// - Categories from the API ✓ (forms, filter, import + bulk price modals read categoriesAPI - managed on the Categories page)
+// - Duplicate product ✓ (row action - add modal pre-filled with fields + variants, quantities 0, no images)
+// - Archive instead of delete ✓ (Archive is the row action - restore / permanent delete on the Archived page)
+// - Search, filters and sorting ✓ (name/description search, category/sale/stock/price filters, sortable headers - all in the URL)
+// - Draft / published / hidden ✓ (new products start as drafts, Status column + filter, customer preview modal)
+// - Margin visibility ✓ (Margin column, sale + edit modals - sale prices below cost need an override with a reason,
+//   including when a cost price change in the edit modal pushes a running/scheduled sale below cost)
 // - "Display luxury products with different sizes and color options" ✓ (Variants system)
+// - Color catalog ✓ (variant editors pick from catalog swatches instead of typing a color - managed on the Colors page)
 // - "Each product shall allow display of multiple photos" ✓ (Multi-image upload)
+// - Client-side image processing ✓ (resize, WebP, EXIF stripped, size/shape checks - utils/imageProcessing.js)
+// - Image gallery manager ✓ (Edit modal - drag to reorder, main image, delete, color/view tags from file names)
+// - Bulk import from CSV/XLSX ✓ (ProductImportModal - dry-run preview, then one create per product)
+// - Bulk price / sale changes ✓ (BulkPriceModal - ticked rows or a category, % or $, rounding, before/after preview)
 //
 // INVENTORY MANAGEMENT:
 // - "Admin to update inventory in real-time with immediate user visibility" ✓ (Expandable inventory rows)
-// - "Add or modify quantities of items per size and color" ✓ (Size/color/quantity inputs)
+// - "Add or modify quantities of items per size and color" ✓ (Size × color grid with one batched save, plus variant inputs)
 // - "Inventory quantity shall never BE negative" ✓ (min="0" on all quantity inputs)
+// - Low-stock thresholds ✓ (per-variant thresholds in the inventory grid, "low"/"sold out" badges in the table, Low Stock page)
 // - "Inventory updates shall be immediately visible" ✓ (fetchData() after every update)
+// - Adjustment ledger ✓ (grid saves deltas with a reason/note, clock button shows each size/color's history)
 //
 // SYSTEM:
 // - "Tax of 6% shall be applied per product" ✓ (Displayed in table)
@@ -0,0 +1,181 @@
+// SaleCalendar.jsx
+// Developer: Greenshoes Team
+// This file may contain lots of comments and sometimes even commented out code snippets so that I can keep track of the changes made over time for future reference.
+// Sale calendar - what's on sale now, what's coming up, and a month view of when each promotion runs
+// Sales are scheduled from the sale modal on the products page; this page is read-only
+//
+// REQUIREMENTS SUPPORTED:
+// - "Administrator to place items in the inventory on sale" - overview of every scheduled and running sale
+// - "Emphasize 'on Sale' items in the landing page" - lets marketing see what the landing page will show on any day
+
+
+
+// React imports
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+// Products list already carries sale_price + sale_starts_at/sale_ends_at - no separate endpoint needed
+import { productsAPI } from '../services/api';
+import { SALE_STATUS, getSaleStatus, formatSaleDate } from '../utils/sales';
+import { formatPrice } from '../utils/bulkPricing';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Does the sale overlap this day at all? Open-ended sales run from the start of time / forever
+const isSaleOnDay = (product, day) => {
+  const dayStart = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+  const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  const startsAt = product.sale_starts_at ? new Date(product.sale_starts_at) : null;
+  const endsAt = product.sale_ends_at ? new Date(product.sale_ends_at) : null;
+  return (!startsAt || startsAt < dayEnd) && (!endsAt || endsAt > dayStart);
+};
+
+// 6 weeks of days starting on the Monday on/before the 1st - always a full grid
+const buildMonthDays = (month) => {
+  const first = new Date(month.getFullYear(), month.getMonth(), 1);
+  const offset = (first.getDay() + 6) % 7; // getDay() is 0 for Sunday, we start weeks on Monday
+  return Array.from({ length: 42 }, (_, i) => new Date(month.getFullYear(), month.getMonth(), 1 - offset + i));
+};
+
+const SaleCalendar = () => {
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // month: any date in the month being shown
+  const [month, setMonth] = useState(() => new Date());
+
+  useEffect(() => {
+    fetchProducts();
+  }, []);
+
+  const fetchProducts = async () => {
+    try {
+      setLoading(true);
+      const response = await productsAPI.getAll();
+      setProducts(response.data.products || []);
+    } catch (err) {
+      setError('Failed to load sales');
+      console.error(err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Only sales that are running or still to come - expired ones are history
+  const now = new Date();
+  const runningSales = products
+    .filter(p => getSaleStatus(p, now) === SALE_STATUS.ACTIVE)
+    .sort((a, b) => new Date(a.sale_ends_at || '9999-12-31') - new Date(b.sale_ends_at || '9999-12-31'));
+  const upcomingSales = products
+    .filter(p => getSaleStatus(p, now) === SALE_STATUS.SCHEDULED)
+    .sort((a, b) => new Date(a.sale_starts_at) - new Date(b.sale_starts_at));
+  const calendarSales = [...runningSales, ...upcomingSales];
+
+  const days = buildMonthDays(month);
+  const changeMonth = (delta) => setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+
+  // One row per sale in the Running / Upcoming lists
+  const renderSaleRow = (product) => (
+    <tr key={product.id} className="hover:bg-gray-50">
+      <td className="px-4 py-3 text-sm font-medium">{product.name}</td>
+      <td className="px-4 py-3 text-sm capitalize">{product.category}</td>
+      <td className="px-4 py-3 text-sm text-right">
+        <span className="text-red-600 font-semibold">{formatPrice(product.sale_price)}</span>
+        <span className="text-gray-400 line-through ml-1 text-xs">{formatPrice(product.selling_price)}</span>
+      </td>
+      <td className="px-4 py-3 text-sm">{formatSaleDate(product.sale_starts_at) || 'Now'}</td>
+      <td className="px-4 py-3 text-sm">{formatSaleDate(product.sale_ends_at) || 'Until ended'}</td>
+    </tr>
+  );
+
+  const renderSaleTable = (title, sales, emptyText) => (
+    <div className="mb-8">
+      <h2 className="text-xl mb-4" style={{ fontFamily: "'Playfair Display', serif" }}>{title} ({sales.length})</h2>
+      <div className="overflow-x-auto border border-gray-200 rounded-lg">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Product</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Category</th>
+              <th className="px-4 py-3 text-right text-sm font-medium text-gray-700">Sale Price</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Starts</th>
+              <th className="px-4 py-3 text-left text-sm font-medium text-gray-700">Ends</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sales.length === 0
+              ? <tr><td colSpan="5" className="px-4 py-8 text-center text-gray-500">{emptyText}</td></tr>
+              : sales.map(renderSaleRow)}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Page Title */}
+      <h1 className="text-3xl text-center mb-8" style={{ fontFamily: "'Playfair Display', serif" }}>
+        Sale Calendar
+      </h1>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-600 rounded-lg">{error}</div>}
+
+      {renderSaleTable('Running Now', runningSales, 'Nothing is on sale right now')}
+      {renderSaleTable('Upcoming', upcomingSales, 'No sales scheduled')}
+
+      {/* ==================== MONTH VIEW ==================== */}
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-xl" style={{ fontFamily: "'Playfair Display', serif" }}>
+          {month.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}
+        </h2>
+        <div className="flex items-center gap-2">
+          <button onClick={() => changeMonth(-1)} className="p-2 border rounded hover:bg-gray-50"><ChevronLeft size={16} /></button>
+          <button onClick={() => setMonth(new Date())} className="px-3 py-1 border rounded text-sm hover:bg-gray-50">Today</button>
+          <button onClick={() => changeMonth(1)} className="p-2 border rounded hover:bg-gray-50"><ChevronRight size={16} /></button>
+        </div>
+      </div>
+      <div className="grid grid-cols-7 border-t border-l border-gray-200">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="px-2 py-1 bg-gray-50 border-r border-b border-gray-200 text-xs font-medium text-gray-700">{day}</div>
+        ))}
+        {days.map(day => {
+          const inMonth = day.getMonth() === month.getMonth();
+          const isToday = day.toDateString() === now.toDateString();
+          const daySales = calendarSales.filter(p => isSaleOnDay(p, day));
+          return (
+            <div key={day.toISOString()} className={`min-h-[96px] p-1 border-r border-b border-gray-200 ${inMonth ? 'bg-white' : 'bg-gray-50'}`}>
+              <div className={`text-xs mb-1 ${isToday ? 'font-bold text-accent' : inMonth ? 'text-gray-700' : 'text-gray-400'}`}>{day.getDate()}</div>
+              {daySales.map(p => (
+                <div
+                  key={p.id}
+                  title={`${p.name} - ${formatPrice(p.sale_price)}`}
+                  className={`mb-0.5 px-1 rounded text-xs truncate ${getSaleStatus(p, now) === SALE_STATUS.ACTIVE ? 'bg-red-100 text-red-700' : 'bg-blue-100 text-blue-700'}`}
+                >
+                  {p.name}
+                </div>
+              ))}
+            </div>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Red = running now, blue = scheduled. Schedule or change sales from <Link to="/products" className="text-blue-600 hover:underline">Product & Inventory Management</Link>.
+      </p>
+    </div>
+  );
+};
+
+export default SaleCalendar;
+
+// REQUIREMENT MAPPING SUMMARY:
+// 1. "Administrator to place items in the inventory on sale" - every running and scheduled sale in one place
+// 2. "Emphasize 'on Sale' items in the landing page" - month view shows what will be on sale on any given day
@@ -101,8 +101,9 @@ export const adminAPI = {
 export const productsAPI = {
   // Get all products - this one has some data transformation happening
   // REQUIREMENT: "Single admin interface" - this powers the main products table
-  getAll: async () => {
-    const response = await adminAxios.get('/admin/products');
+  // Archived products are left out by the backend - pass { archived: true } to get only the archived ones instead
+  getAll: async (params = {}) => {
+    const response = await adminAxios.get('/admin/products', { params });
     // Transform to match expected format
     // The frontend components expect a certain structure so we massage the data here
     // rather than changing all the components - seemed easier at the time
@@ -131,18 +132,40 @@ export const productsAPI = {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
   // Update existing product - same multipart setup as create
+  // A cost_price that puts a running/scheduled sale below cost is rejected unless below_cost_override + below_cost_reason are sent
   // REQUIREMENT: "Administrator to change the price of items in the inventory"
   update: (id, formData) => adminAxios.put(`/admin/products/${id}`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  // Draft / published / hidden - only published products reach the storefront
+  // New products are sent with status 'draft' by create(), this is how they go live
+  updateStatus: (id, status) => adminAxios.patch(`/admin/products/${id}/status`, { status }),
+  // Archive instead of delete - the product disappears from the storefront and the products table,
+  // but it keeps its inventory, images and the order history that points at it, and can be restored
+  archive: (id) => adminAxios.patch(`/admin/products/${id}/archive`),
+  restore: (id) => adminAxios.patch(`/admin/products/${id}/restore`),
   // Delete - straightforward, no body needed
-  // Removes product and all associated inventory/images
+  // Removes product and all associated inventory/images - PERMANENT, only offered for archived products now
   delete: (id) => adminAxios.delete(`/admin/products/${id}`),
+  // Image gallery - save order, main image and color/view tags for the product's existing images in one go
+  // images: [{ id, sort_order, is_main, color, view }] - backend sets main_image from whichever has is_main
+  updateImages: (id, images) => adminAxios.put(`/admin/products/${id}/images`, { images }),
+  // Remove one image (file + record)
+  deleteImage: (id, imageId) => adminAxios.delete(`/admin/products/${id}/images/${imageId}`),
   // Sale management - added these when we implemented the sale feature
   // PATCH because we're only updating a subset of the product data
   // REQUIREMENT: "Administrator to place items in the inventory on sale"
   // REQUIREMENT: "emphasize 'on Sale' items in the landing page" - this is how items get marked for that
-  markOnSale: (id, salePrice) => adminAxios.patch(`/admin/products/${id}/sale/mark`, { sale_price: salePrice }),
+  // Optional schedule: { starts_at, ends_at } as ISO strings - no start = right away, no end = until removeFromSale
+  // The backend switches the sale on/off at those times, so nobody has to remember to end it
+  // Sale prices below cost_price are rejected unless below_cost_reason is given - the reason is stored with the sale
+  markOnSale: (id, salePrice, { starts_at = null, ends_at = null, below_cost_reason = null } = {}) => adminAxios.patch(`/admin/products/${id}/sale/mark`, {
+    sale_price: salePrice,
+    sale_starts_at: starts_at,
+    sale_ends_at: ends_at,
+    below_cost_override: !!below_cost_reason,
+    below_cost_reason,
+  }),
   removeFromSale: (id) => adminAxios.patch(`/admin/products/${id}/sale/remove`),
   // Could add bulk operations here later if needed
 };
@@ -160,54 +183,189 @@ export const inventoryAPI = {
   // Update stock levels - takes productId and inventory data (quantity, sizes, etc)
   // This is the core of real-time inventory management
   // The backend immediately updates the database, making changes visible to customers
+  // NOTE: overwrites the quantity without recording why - admin screens use adjust() below instead
   update: (productId, data) => adminAxios.patch(`/admin/products/${productId}/inventory`, data),
+  // Record a stock adjustment - the ledger entry and the quantity change happen together on the backend
+  // data: { sizeId, colorId, delta, reason, note, expected_quantity } - delta is +/- pairs, reason is one of ADJUSTMENT_REASONS (utils/inventoryAdjustments.js)
+  // expected_quantity (optional): the quantity the delta was worked out from - if stock changed in the meantime
+  // (a sale, another admin) the backend answers 409 with { quantity } instead of applying the delta to the wrong total
+  // admin is whoever is logged in (useAdminAuth().admin) - leave it out and the backend uses the token's admin
+  // Backend rejects adjustments that would take the quantity below 0
+  adjust: (productId, data, admin) => adminAxios.post(`/admin/products/${productId}/inventory/adjustments`, {
+    ...data,
+    admin_id: admin?.id,
+    admin_name: admin?.name || admin?.email,
+  }),
+  // Ledger for one size/color, newest first
+  // Each entry: { id, delta, reason, note, quantity_after, admin: { name, email }, created_at }
+  getAdjustments: (productId, { sizeId, colorId }) => adminAxios.get(`/admin/products/${productId}/inventory/adjustments`, {
+    params: { size_id: sizeId, color_id: colorId },
+  }),
+  // Put stock back - used when refunded items get restocked
+  // Order items only know the size/color values, so we look up the size_id/color_id on the product first
+  // Goes through the ledger as a "returned" adjustment, so refunds show up in the variant's history
+  // Always a relative delta - the first version read the quantity and PATCHed quantity + delta through update(),
+  // so two restocks (or a restock and a sale) at the same time lost one of the changes. The lookup below only
+  // finds the ids, the quantity it returns is never used
+  // admin: whoever is logged in - passed on to adjust() so the ledger shows who restocked, same as a manual adjustment
+  restock: async (productId, { size, color, quantity, note }, admin) => {
+    const { data: product } = await adminAxios.get(`/admin/products/${productId}`);
+    const colorId = product.colors?.find(c => c.value?.toLowerCase() === color?.toLowerCase())?.id;
+    const variant = product.variants?.find(v => parseFloat(v.size) === parseFloat(size) && v.color_id === colorId);
+    if (!variant) throw new Error(`No inventory entry for size ${size} / ${color}`);
+    // return adminAxios.post(`/admin/products/${productId}/inventory/adjustments`, {
+    //   sizeId: variant.size_id,
+    //   colorId,
+    //   delta: quantity,
+    //   reason: 'returned',
+    //   note,
+    // });
+    return inventoryAPI.adjust(productId, {
+      sizeId: variant.size_id,
+      colorId,
+      delta: quantity,
+      reason: 'returned',
+      note,
+    }, admin);
+  },
+  // Reorder threshold for one size/color - body: { sizeId, colorId, reorder_threshold }
+  // reorder_threshold: null clears it so the variant falls back to its category's default
+  updateThreshold: (productId, data) => adminAxios.patch(`/admin/products/${productId}/inventory/threshold`, data),
+  // Default reorder threshold per category - response: { thresholds: { sneakers: 5, boots: 3, ... } }
+  getThresholdDefaults: () => adminAxios.get('/admin/inventory/thresholds'),
+  updateThresholdDefaults: (thresholds) => adminAxios.put('/admin/inventory/thresholds', { thresholds }),
+  // Every variant at or below its threshold, across all products - powers the Low Stock page and the table badges
+  // Each entry: { product_id, product_name, category, size, size_id, color, color_id, quantity, reorder_threshold, threshold_source }
+  // reorder_threshold is the effective one (variant's own, else the category default) - threshold_source says which
+  getLowStock: () => adminAxios.get('/admin/inventory/low-stock'),
 };
 
 // Orders API
-// Read-only for now - admins can view but order modifications happen through different flow
+// Mostly read-only - admins can move an order along the status workflow and record cancellations/refunds
 //
 // REQUIREMENTS SATISFIED:
 // - "Each order shall be assigned a unique confirmation ID for identification and tracking"
 // - "Display the order ID, shoe color, size, billing address, shipping address, and total amount"
 // - "Flat shipping rate of $11.95 shall be applied" (visible in order details)
 // - "Tax of 6% shall be applied per product" (visible in order details)
-// - "The software shall not support any kinds of refunds/return" (no update/cancel endpoints)
+// Note: The original "software shall not support any kinds of refunds/return" requirement was dropped -
+// the warehouse was restocking cancelled orders by hand, so refunds are now recorded through refund()
 export const ordersAPI = {
-  // Get all orders - paginated on backend, returns most recent first
+  // Get orders - paginated, filtered and sorted on the backend
   // Powers the Order Management table in admin panel
-  getAll: () => adminAxios.get('/admin/orders'),
+  // params: page, limit, search, status, customer_type, date_from, date_to, min_total, max_total, sort_by, sort_order
+  // search matches the full order_id, order_number, customer name or customer email
+  // Response has { orders, pagination: { page, limit, total, totalPages } }
+  // List rows carry shipping_location (text) rather than the full shipping_address, so each row also has
+  // billing_differs: true when billing and shipping addresses differ (compared on the backend)
+  // Used to load every order in one go - that got really slow once we had a few thousand
+  getAll: (params = {}) => adminAxios.get('/admin/orders', { params }),
+  // Get EVERY order matching the filters - walks through the pages of the list endpoint
+  // include_details asks the backend to embed items and price_breakdown (same shape getById returns)
+  // so exports don't need one extra request per order
+  // Used by the CSV/XLSX export, which has to respect the current filters but not the current page
+  getAllMatching: async (params = {}) => {
+    const { page: _page, limit: _limit, ...filters } = params;
+    const orders = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await adminAxios.get('/admin/orders', {
+        params: { ...filters, page, limit: 200, include_details: true },
+      });
+      orders.push(...(response.data.orders || []));
+      // No pagination info means the backend sent everything in one go
+      totalPages = response.data.pagination?.totalPages || 1;
+      page += 1;
+    } while (page <= totalPages);
+    return orders;
+  },
   // Get single order with all details - line items, shipping info, etc
   // REQUIREMENT: "display order ID, shoe color, size, billing/shipping address, total amount"
   // This endpoint returns everything needed to satisfy that requirement
   getById: (orderId) => adminAxios.get(`/admin/orders/${orderId}`),
-  // TODO: Add updateStatus endpoint when we implement order status management
-  // Note: No refund/cancel endpoints per requirement "software shall not support refunds/return"
+  // Move an order to a new status (ORDERED -> SHIPPED -> DELIVERED, or CANCELLED)
+  // PATCH because only the status field changes - backend rejects transitions it doesn't allow
+  // The page also checks transitions before calling this so admins never see the invalid options
+  updateStatus: (orderId, status) => adminAxios.patch(`/admin/orders/${orderId}/status`, { status }),
+  // Save the carrier + tracking number for a shipped order - body: { carrier, tracking_number }
+  // Also used one order at a time by the tracking CSV upload so each row gets its own success/failure
+  updateShipment: (orderId, data) => adminAxios.patch(`/admin/orders/${orderId}/shipment`, data),
+  // Activity timeline for an order - created, status changes, shipments, refunds and internal notes
+  // Each entry: { id, type, message, from_status, to_status, amount, note, admin: { name, email }, created_at }
+  getActivity: (orderId) => adminAxios.get(`/admin/orders/${orderId}/activity`),
+  // Add an internal note to an order - never shown to the customer
+  // admin is whoever is logged in (useAdminAuth().admin) so the timeline can say who wrote it
+  addNote: (orderId, note, admin) => adminAxios.post(`/admin/orders/${orderId}/notes`, {
+    note,
+    admin_id: admin?.id,
+    admin_name: admin?.name || admin?.email,
+  }),
+  // Record a refund against an order - body: { items: [{ item_id, quantity }], amount, reason, restocked, shipping_refunded }
+  // shipping_refunded: true when this refund includes the shipping fee - the order then comes back with shipping_refunded set
+  // Only records the money side - restocking goes through inventoryAPI.restock so it shows up like any other stock change
+  refund: (orderId, data) => adminAxios.post(`/admin/orders/${orderId}/refunds`, data),
 };
 
 // Colors API - uses admin endpoint
 // These next two (colors and sizes) are kind of hacky - we extract them from products
 // Ideally these would be their own database tables but this works for now
+// ^ colors have their own table now - deriving them from products turned "Navy" and "navy" into two colors
+// color: { id, name, hex, swatch_image, product_count } - name is what variants store, e.g. 'navy'
 //
-// Used by: ProductManagement.jsx for variant color dropdowns
+// Used by: Colors.jsx (admin page), ProductManagement.jsx for the variant swatch picker
 // REQUIREMENT: "different sizes and color options for each object"
 export const colorsAPI = {
+  // getAll: async () => {
+  //   // Fetch all products just to get the colors - not super efficient but works
+  //   // TODO: Could add a dedicated /admin/colors endpoint on backend for better performance
+  //   const response = await adminAxios.get('/admin/products');
+  //   const allColors = response.data.products?.flatMap(p => p.colors || []) || [];
+  //   const uniqueColors = [...new Map(allColors.map(c => [typeof c === 'string' ? c : c, { id: c, value: c }])).values()];
+  //   return { data: { colors: uniqueColors } };
+  // },
+  // ^ replaced by the dedicated endpoint (the TODO above)
+  // value mirrors name so older code that reads color.value (and the sizes list) keeps working
   getAll: async () => {
-    // Fetch all products just to get the colors - not super efficient but works
-    // TODO: Could add a dedicated /admin/colors endpoint on backend for better performance
-    const response = await adminAxios.get('/admin/products');
-    // Extract unique colors from all products
-    // flatMap flattens the nested arrays into one big array
-    const allColors = response.data.products?.flatMap(p => p.colors || []) || [];
-    // Use Map to dedupe - the key ensures uniqueness
-    const uniqueColors = [...new Map(allColors.map(c => [typeof c === 'string' ? c : c, { id: c, value: c }])).values()];
-    return { data: { colors: uniqueColors } };
+    const response = await adminAxios.get('/admin/colors');
+    const colors = (response.data.colors || []).map(c => ({ ...c, value: c.name }));
+    return { data: { colors } };
   },
-  // No create/update/delete - colors are managed through products for now
-  // New colors get added when creating/editing products with new color variants
+  // FormData: name, hex and an optional swatch (image file) - multipart like product uploads
+  create: (formData) => adminAxios.post('/admin/colors', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  // Same fields as create - renaming a color renames it on every variant on the backend (response has variants_updated)
+  update: (id, formData) => adminAxios.patch(`/admin/colors/${id}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  // Folds duplicates into one color - variants and image color tags move to the target, the sources are removed
+  // Response has variants_moved; sizes that exist on both colors of one product get their quantities added together
+  merge: (sourceIds, targetId) => adminAxios.post('/admin/colors/merge', { source_ids: sourceIds, target_id: targetId }),
+};
+
+// Categories API - replaces the hardcoded CATEGORIES list that needed a deploy for every new category
+// category: { id, name, parent_id, sort_order, retired, product_count }
+// name is the value stored on products (product.category), e.g. 'sneakers' - always lowercase
+// parent_id is optional, one level deep (Boots -> Ankle Boots)
+//
+// Used by: Categories.jsx (admin page), ProductManagement.jsx (forms + filters), LowStock.jsx, import/bulk price modals
+// REQUIREMENT: "Single admin interface for product, inventory, and impact management"
+export const categoriesAPI = {
+  // Retired categories are included (flagged retired: true) - products can still be in them
+  getAll: () => adminAxios.get('/admin/categories'),
+  // { name, parent_id } - new categories go to the end of their level
+  create: (data) => adminAxios.post('/admin/categories', data),
+  // { name?, parent_id? } - a rename cascades to every product in the category on the backend (response has products_updated)
+  update: (id, data) => adminAxios.patch(`/admin/categories/${id}`, data),
+  // Whole order in one go - ids in display order, parents and children alike
+  reorder: (ids) => adminAxios.put('/admin/categories/order', { ids }),
+  // Retired categories stay on their products but can't be picked for new/edited products any more
+  setRetired: (id, retired) => adminAxios.patch(`/admin/categories/${id}/retired`, { retired }),
 };
 
 // Sizes API - uses admin endpoint
-// Same pattern as colors above - derived from products data
+// Same pattern colors used to have - derived from products data
 //
 // Used by: ProductManagement.jsx for size inputs and reference
 // REQUIREMENT: "different sizes and color options for each object"
@@ -243,18 +401,27 @@ export default adminAxios;
 // PRODUCT MANAGEMENT:
 // - "Add items with multiple pictures" ✓ (productsAPI.create with FormData)
 // - "Change price of items" ✓ (productsAPI.update)
-// - "Place items on sale" ✓ (productsAPI.markOnSale/removeFromSale)
+// - "Place items on sale" ✓ (productsAPI.markOnSale/removeFromSale - with optional start/end times, below-cost override with a reason)
+// - Draft / published / hidden products ✓ (productsAPI.updateStatus - create() sends new products as drafts)
+// - Archive / restore instead of delete ✓ (productsAPI.archive/restore, getAll({ archived: true }) - delete is the permanent purge)
+// - "Multiple photos from different angles/colors" ✓ (productsAPI.updateImages/deleteImage - order, main image, tags)
 // - "Sizes and color options for each object" ✓ (data transformation in getAll)
+// - Color catalog ✓ (colorsAPI - name, hex swatch, optional swatch image, merge duplicates)
+// - Category management ✓ (categoriesAPI - create, rename with cascade, reorder, retire, parent/child)
 //
 // INVENTORY MANAGEMENT:
 // - "Update inventory in real-time with immediate user visibility" ✓ (inventoryAPI.update)
-// - "Modify quantities per size and color" ✓ (inventoryAPI.update)
+// - "Modify quantities per size and color" ✓ (inventoryAPI.adjust - every change recorded in the adjustment ledger)
 // - "Inventory quantity shall never be negative" ✓ (backend validation)
+// - "Low-stock thresholds and alerts" ✓ (inventoryAPI.updateThreshold/getThresholdDefaults/getLowStock)
 //
 // ORDER MANAGEMENT:
 // - "Unique confirmation ID for tracking" ✓ (ordersAPI returns order_id)
 // - "Display order ID, color, size, addresses, total" ✓ (ordersAPI.getById)
-// - "No refunds/returns" ✓ (no update/cancel endpoints intentionally)
+// - "Order status workflow" ✓ (ordersAPI.updateStatus)
+// - "Cancellations/refunds with restock" ✓ (ordersAPI.refund + inventoryAPI.restock)
+// - "Shipment tracking" ✓ (ordersAPI.updateShipment)
+// - "Internal notes and activity timeline" ✓ (ordersAPI.getActivity/addNote)
 //
 // SYSTEM:
 // - "Single admin interface" ✓ (all endpoints support the unified admin panel)
\ No newline at end of file
@@ -0,0 +1,54 @@
+// addresses.js
+// Developer: Greenshoes Team
+// Helpers for the address objects on orders (shipping_address and billing_address)
+// Both have the same shape: { full_name, address1, address2, city, state, postal_code }
+// billing_address also carries card_last4 - the card that billing address is registered to
+//
+// REQUIREMENTS SUPPORTED:
+// - "Display the order ID, shoe color, size, billing address, shipping address, and total amount"
+// - "Require registered users to have a single billing address per registered CC"
+
+
+
+// Address as an array of display lines - skips whatever parts are missing
+export const formatAddressLines = (address) => {
+  if (!address) return [];
+  return [
+    address.full_name,
+    address.address1,
+    address.address2,
+    [address.city, address.state].filter(Boolean).join(', '),
+    address.postal_code,
+  ].filter(Boolean);
+};
+
+// Short one-liner for table cells - street + city is usually enough to recognise it
+export const formatAddressSummary = (address) => {
+  if (!address) return '';
+  return [address.address1, address.city].filter(Boolean).join(', ');
+};
+
+// Normalise a single field for comparison - case, extra spaces and punctuation shouldn't count as a difference
+const normalize = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Fields that make up "the same place" - the name is left out on purpose
+// (gifts shipped to someone else are normal, a different street is what's worth a second look)
+const COMPARED_FIELDS = ['address1', 'address2', 'city', 'state', 'postal_code'];
+
+// True when billing and shipping point at the same place
+// Returns true when either side is missing - nothing to compare means nothing to flag
+export const addressesMatch = (a, b) => {
+  if (!a || !b) return true;
+  return COMPARED_FIELDS.every(field => normalize(a[field]) === normalize(b[field]));
+};
+
+// Mismatch flag for an orders table row - list rows only have shipping_location (a text summary), not the full
+// shipping_address, so addressesMatch() against them always said "match". The backend compares the two addresses
+// and sends billing_differs; the full comparison is only a fallback for rows that do carry both addresses
+export const billingDiffersFromShipping = (order) => {
+  if (typeof order.billing_differs === 'boolean') return order.billing_differs;
+  return !!order.billing_address && !!order.shipping_address && !addressesMatch(order.billing_address, order.shipping_address);
+};
+
+// "•••• 4242" style card display, or empty string when we don't have the digits
+export const formatCardLast4 = (last4) => (last4 ? `•••• ${last4}` : '');
@@ -0,0 +1,80 @@
+// bulkPricing.js
+// Developer: Greenshoes Team
+// Price maths for bulk repricing - a percentage or fixed change applied to many products at once
+// Works on either the regular selling price or the sale price, with a rounding rule so prices end nicely (.00 / .95 / .99)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Administrator to change the price of items in the inventory" - for a whole selection or category in one go
+// - "Administrator to place items in the inventory on sale" - same tool can set sale prices
+
+
+
+import { isBelowCost } from './margins';
+
+// Which price the change applies to
+export const PRICE_TARGETS = {
+  SELLING: 'selling_price',
+  SALE: 'sale_price',
+};
+
+export const CHANGE_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+};
+
+// How the new price gets rounded - value is what's stored in state, label is what admins see
+export const ROUNDING_RULES = [
+  { value: 'cents', label: 'Nearest cent' },
+  { value: '.00', label: 'Whole dollars (.00)' },
+  { value: '.95', label: 'Ends in .95' },
+  { value: '.99', label: 'Ends in .99' },
+];
+
+// Round to the chosen ending - .95/.99 go to the nearest such price, so 107.30 -> 106.95 and 107.60 -> 107.95
+export const applyRounding = (price, rule) => {
+  const cents = Math.round(price * 100) / 100;
+  if (rule === '.00') return Math.round(price);
+  if (rule === '.95' || rule === '.99') {
+    const ending = rule === '.95' ? 0.05 : 0.01;
+    const rounded = Math.round(price + ending) - ending;
+    // Anything under a dollar would end up negative - just keep the cent-rounded price
+    return rounded > 0 ? Math.round(rounded * 100) / 100 : cents;
+  }
+  return cents;
+};
+
+// $120 stays "$120", but $106.95 has to show its cents now that rounding can produce them
+// (the tables used toFixed(0), which would have shown 106.95 as $107)
+export const formatPrice = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  const number = parseFloat(value) || 0;
+  return `$${Number.isInteger(number) ? number : number.toFixed(2)}`;
+};
+
+// Price the change starts from - products with no sale price start their sale from the selling price
+export const getBasePrice = (product, target) => {
+  if (target === PRICE_TARGETS.SALE && product.sale_price) return parseFloat(product.sale_price);
+  return parseFloat(product.selling_price) || 0;
+};
+
+// New price for one product
+// amount is signed: -10 with PERCENT = 10% cheaper, +5 with FIXED = $5 more
+export const calculateNewPrice = (product, { target, changeType, amount, rounding }) => {
+  const base = getBasePrice(product, target);
+  const value = parseFloat(amount) || 0;
+  const changed = changeType === CHANGE_TYPES.PERCENT ? base * (1 + value / 100) : base + value;
+  return applyRounding(changed, rounding);
+};
+
+// Before/after rows for the preview table - rows with an `error` are skipped when applying
+export const buildPricePreview = (products, options) => products.map(product => {
+  const before = options.target === PRICE_TARGETS.SALE ? (product.sale_price ? parseFloat(product.sale_price) : null) : parseFloat(product.selling_price) || 0;
+  const after = calculateNewPrice(product, options);
+  let error = '';
+  if (!(after > 0)) error = 'Price would be $0 or less';
+  else if (options.target === PRICE_TARGETS.SALE && after >= parseFloat(product.selling_price)) error = 'Sale price must be below the selling price';
+  // Below-cost sales need a reason per product - that's done one at a time in the sale modal
+  else if (options.target === PRICE_TARGETS.SALE && isBelowCost(after, product.cost_price)) error = 'Below cost price - use the sale modal to override';
+  else if (options.target === PRICE_TARGETS.SELLING && product.sale_price && after <= parseFloat(product.sale_price)) error = 'Selling price would be at or below the current sale price';
+  return { product, before, after, error };
+});
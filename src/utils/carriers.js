@@ -0,0 +1,30 @@
+// carriers.js
+// Developer: Greenshoes Team
+// Shipping carriers we know about and how to build their public tracking links
+// Any other carrier name is still allowed on an order - it just won't get a clickable link
+
+
+
+// Known carriers - key is what gets stored on the order, url builds the tracking page link
+export const CARRIERS = {
+  USPS: { label: 'USPS', url: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}` },
+  UPS: { label: 'UPS', url: (number) => `https://www.ups.com/track?tracknum=${number}` },
+  FEDEX: { label: 'FedEx', url: (number) => `https://www.fedex.com/fedextrack/?trknbr=${number}` },
+  DHL: { label: 'DHL', url: (number) => `https://www.dhl.com/us-en/home/tracking/tracking-express.html?submit=1&tracking-id=${number}` },
+};
+
+// Turn whatever was typed ("FedEx", "fedex ", "Fed Ex") into our carrier key - null if we don't know it
+export const normalizeCarrier = (carrier) => {
+  const key = String(carrier || '').replace(/\s+/g, '').toUpperCase();
+  return CARRIERS[key] ? key : null;
+};
+
+// Display name for a carrier - falls back to whatever was stored
+export const getCarrierLabel = (carrier) => CARRIERS[normalizeCarrier(carrier)]?.label || carrier || '';
+
+// Public tracking URL, or null for unknown carriers / missing tracking numbers
+export const getTrackingUrl = (carrier, trackingNumber) => {
+  const key = normalizeCarrier(carrier);
+  if (!key || !trackingNumber) return null;
+  return CARRIERS[key].url(encodeURIComponent(String(trackingNumber).trim()));
+};
@@ -0,0 +1,49 @@
+// categories.js
+// Developer: Greenshoes Team
+// Product categories - moved out of ProductManagement.jsx now that the Low Stock page needs them too
+// Categories now come from the API (categoriesAPI) and are managed on the Categories page - these helpers
+// turn that list into the parent/child order every dropdown uses
+//
+// REQUIREMENT SUPPORTED: "luxury shoe e-commerce platform" - categories reflect ladies' footwear focus
+
+
+
+// Available product categories - hardcoded since these don't change often
+// Could move to database later if needed, but this keeps things simple for now
+// export const CATEGORIES = ['sneakers', 'sandals', 'boots', 'pumps', 'heels'];
+// ^ moved to the database - adding "loafers" needed a code deploy
+
+// "sneakers" -> "Sneakers" for dropdowns and headings
+export const formatCategory = (category) => (category ? category.charAt(0).toUpperCase() + category.slice(1) : '');
+
+// What gets stored - names are lowercase and trimmed so "Loafers " and "loafers" are the same category
+export const normalizeCategoryName = (name) => (name || '').trim().toLowerCase();
+
+// Parents in sort_order, each followed by its own children - adds depth (0 or 1) for indenting
+// Children whose parent is missing are treated as top level rather than disappearing
+export const sortCategories = (categories = []) => {
+  const bySortOrder = (a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0);
+  const ids = new Set(categories.map(c => c.id));
+  const topLevel = categories.filter(c => !c.parent_id || !ids.has(c.parent_id)).sort(bySortOrder);
+  return topLevel.flatMap(parent => [
+    { ...parent, depth: 0 },
+    ...categories.filter(c => c.parent_id === parent.id).sort(bySortOrder).map(child => ({ ...child, depth: 1 })),
+  ]);
+};
+
+// Names of the categories new products can go in, in display order
+export const getActiveCategoryNames = (categories = []) => (
+  sortCategories(categories).filter(c => !c.retired).map(c => c.name)
+);
+
+// Dropdown label - children indented under their parent (non-breaking spaces, <option> collapses normal ones), retired ones marked
+export const formatCategoryOption = (category) => (
+  `${category.depth > 0 ? '\u00A0\u00A0— ' : ''}${formatCategory(category.name)}${category.retired ? ' (retired)' : ''}`
+);
+
+// A category plus its children - filtering by "boots" should include "ankle boots"
+export const getCategoryWithChildren = (name, categories = []) => {
+  const parent = categories.find(c => c.name === name);
+  if (!parent) return [name];
+  return [name, ...categories.filter(c => c.parent_id === parent.id).map(c => c.name)];
+};
@@ -0,0 +1,46 @@
+// colors.js
+// Developer: Greenshoes Team
+// Color catalog helpers - colors used to be whatever strings the variants happened to have,
+// so "Navy", "navy" and "navy " all showed up as different colors. Now they come from colorsAPI
+// with a hex value (and optionally a swatch photo for things like leopard print)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Each product shall display available color and size options" - one name per color, shown as a swatch
+// - "Display luxury products with different sizes and color options"
+
+
+
+import { getImageUrl } from './productImages';
+
+// Used when a color has no hex yet (colors that existed before the catalog) - a neutral grey
+export const DEFAULT_COLOR_HEX = '#cccccc';
+
+// What gets stored - lowercase and trimmed, same rule as category names
+export const normalizeColorName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// "#1F2a44" or "1f2a44" -> "#1f2a44", anything that isn't a 6-digit hex -> null
+export const normalizeHex = (hex) => {
+  const value = (hex || '').trim().toLowerCase().replace(/^#/, '');
+  return /^[0-9a-f]{6}$/.test(value) ? `#${value}` : null;
+};
+
+// Inline style for a swatch circle - the swatch photo wins over the hex when there is one
+export const getSwatchStyle = (color) => (
+  color?.swatch_image
+    ? { backgroundImage: `url(${getImageUrl(color.swatch_image)})`, backgroundSize: 'cover', backgroundPosition: 'center' }
+    : { backgroundColor: normalizeHex(color?.hex) || DEFAULT_COLOR_HEX }
+);
+
+// Likely duplicates - colors whose names only differ by case/spacing/dashes ("Off-White" vs "off white")
+// Returns groups of 2+ colors, biggest product count first in each group so that one is the suggested keeper
+export const findDuplicateColors = (colors = []) => {
+  const groups = new Map();
+  colors.forEach(color => {
+    const key = normalizeColorName(color.name).replace(/[-_]/g, ' ').replace(/\s+/g, '');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(color);
+  });
+  return [...groups.values()]
+    .filter(group => group.length > 1)
+    .map(group => group.slice().sort((a, b) => (b.product_count || 0) - (a.product_count || 0)));
+};
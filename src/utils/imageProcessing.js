@@ -0,0 +1,112 @@
+// imageProcessing.js
+// Developer: Greenshoes Team
+// Shrinks product photos in the browser before they're uploaded
+// Raw camera files are often 8 MB+ and were timing out the multipart upload on slow connections -
+// now every image is resized, re-encoded as WebP (JPEG if the browser can't write WebP) and checked before it's sent
+// Redrawing through a canvas also drops the EXIF block (GPS location, camera serial, ...) - canvas output never carries it
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add items in the inventory with multiple pictures"
+// - "Each product shall allow display of multiple photos from different angles/colors" - consistent sizes/shapes across them
+
+
+
+// Limits come from .env so they can be tuned without a code change - see .env.example
+// Aspect ratio is width / height: the defaults allow anything from 3:4 portrait to 4:3 landscape
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+export const IMAGE_SETTINGS = {
+  maxWidth: readNumber(import.meta.env.VITE_IMAGE_MAX_WIDTH, 2000),
+  maxHeight: readNumber(import.meta.env.VITE_IMAGE_MAX_HEIGHT, 2000),
+  minWidth: readNumber(import.meta.env.VITE_IMAGE_MIN_WIDTH, 800),
+  minHeight: readNumber(import.meta.env.VITE_IMAGE_MIN_HEIGHT, 800),
+  minAspectRatio: readNumber(import.meta.env.VITE_IMAGE_MIN_ASPECT_RATIO, 0.75),
+  maxAspectRatio: readNumber(import.meta.env.VITE_IMAGE_MAX_ASPECT_RATIO, 1.34),
+  // 0-1, WebP at 0.82 is visually identical to the original for product shots at a fraction of the size
+  quality: readNumber(import.meta.env.VITE_IMAGE_QUALITY, 0.82),
+};
+
+// 8421376 -> "8.0 MB", 245760 -> "240 KB"
+export const formatFileSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+};
+
+// Decode the file into an <img> - browsers apply the EXIF rotation here, so portrait phone shots come out upright
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`${file.name}: not an image this browser can read`));
+  };
+  image.src = url;
+});
+
+const canvasToBlob = (canvas, type, quality) => new Promise(resolve => canvas.toBlob(resolve, type, quality));
+
+// Resize + re-encode one file
+// Resolves to { file, originalSize, width, height } - file keeps the original name (naming convention!) with the new extension
+// Rejects with an Error whose message is ready to show the admin when the image is too small or the wrong shape
+export const processImage = async (file, settings = IMAGE_SETTINGS) => {
+  if (!file.type.startsWith('image/')) throw new Error(`${file.name}: not an image file`);
+
+  const image = await loadImage(file);
+  const { naturalWidth: width, naturalHeight: height } = image;
+
+  // Reject before doing any work - these can't be fixed by resizing
+  if (width < settings.minWidth || height < settings.minHeight) {
+    throw new Error(`${file.name}: ${width}×${height} is too small - images must be at least ${settings.minWidth}×${settings.minHeight}`);
+  }
+  const aspectRatio = width / height;
+  if (aspectRatio < settings.minAspectRatio || aspectRatio > settings.maxAspectRatio) {
+    throw new Error(`${file.name}: ${width}×${height} is the wrong shape - crop it so width ÷ height is between ${settings.minAspectRatio} and ${settings.maxAspectRatio}`);
+  }
+
+  // Scale down to fit inside the max box - never scale up
+  const scale = Math.min(1, settings.maxWidth / width, settings.maxHeight / height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d');
+  // White behind transparent PNGs - otherwise they go black in JPEG
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  // Browsers that can't encode WebP quietly hand back a PNG - fall back to JPEG in that case
+  let blob = await canvasToBlob(canvas, 'image/webp', settings.quality);
+  if (!blob || blob.type !== 'image/webp') blob = await canvasToBlob(canvas, 'image/jpeg', settings.quality);
+  if (!blob) throw new Error(`${file.name}: could not be processed`);
+
+  const extension = blob.type === 'image/webp' ? 'webp' : 'jpg';
+  const name = `${file.name.replace(/\.[^.]+$/, '')}.${extension}`;
+  return {
+    file: new File([blob], name, { type: blob.type, lastModified: Date.now() }),
+    originalSize: file.size,
+    width: canvas.width,
+    height: canvas.height,
+  };
+};
+
+// Process a batch - one bad file doesn't stop the rest
+// Returns { processed: [{ file, originalSize, width, height }], errors: [message] }
+export const processImages = async (files, settings = IMAGE_SETTINGS) => {
+  const processed = [];
+  const errors = [];
+  for (const file of files) {
+    try {
+      processed.push(await processImage(file, settings));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  return { processed, errors };
+};
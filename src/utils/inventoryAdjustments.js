@@ -0,0 +1,35 @@
+// inventoryAdjustments.js
+// Developer: Greenshoes Team
+// Reason codes for the inventory adjustment ledger - every stock change is recorded as +/- pairs with one of these
+// Before the ledger, quantities were just overwritten and nobody could say why a size went from 12 to 4
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add or modify the quantities of items in the inventory per size and color" - every change is now auditable
+// - "Update the quantity of items in each size as sales are performed" - sales land in the same ledger as "sold"
+
+
+
+// value goes to the backend, label is what admins see
+// "sold" is normally written by checkout - it's listed so it can be picked to correct a missed sale
+// direction: 1 = only adds stock, -1 = only takes it away, 0 = either way (a recount can go up or down)
+export const ADJUSTMENT_REASONS = [
+  { value: 'received', label: 'Received', direction: 1 },
+  { value: 'damaged', label: 'Damaged', direction: -1 },
+  { value: 'returned', label: 'Returned', direction: 1 },
+  { value: 'recount', label: 'Recount', direction: 0 },
+  { value: 'sold', label: 'Sold', direction: -1 },
+];
+
+export const getReasonLabel = (reason) => ADJUSTMENT_REASONS.find(r => r.value === reason)?.label || reason || '-';
+
+// "Received" on a negative change (or "Damaged" on a positive one) would put nonsense in the ledger
+export const isReasonValidForDelta = (reason, delta) => {
+  const direction = ADJUSTMENT_REASONS.find(r => r.value === reason)?.direction ?? 0;
+  return direction === 0 || Math.sign(delta) === direction;
+};
+
+// +3 / -2 / 0 - always signed so the direction is obvious in the history
+export const formatDelta = (delta) => {
+  const value = parseInt(delta) || 0;
+  return value > 0 ? `+${value}` : String(value);
+};
@@ -0,0 +1,45 @@
+// margins.js
+// Developer: Greenshoes Team
+// Margin = what's left of a price after the cost price - shown next to regular and sale prices
+// so nobody has to do the maths in their head before discounting
+// Percentage is of the price (gross margin), so $100 selling on $60 cost = $40 / 40%
+//
+// REQUIREMENTS SUPPORTED:
+// - "Administrator to change the price of items in the inventory" - see the margin a price leaves before saving it
+// - "Administrator to place items in the inventory on sale" - sale prices below cost need an override with a reason
+
+
+
+// Below this the margin is shown in amber - still profitable, but only just
+export const LOW_MARGIN_PERCENT = 20;
+
+// { amount, percent } for a price - null when either number is missing so callers can show "-"
+export const calculateMargin = (price, costPrice) => {
+  const priceValue = parseFloat(price);
+  const costValue = parseFloat(costPrice);
+  if (!(priceValue > 0) || !Number.isFinite(costValue)) return null;
+  const amount = Math.round((priceValue - costValue) * 100) / 100;
+  return { amount, percent: Math.round((amount / priceValue) * 1000) / 10 };
+};
+
+// True when selling at this price loses money on every pair
+export const isBelowCost = (price, costPrice) => {
+  const margin = calculateMargin(price, costPrice);
+  return !!margin && margin.amount < 0;
+};
+
+// Text colour for a margin - red when it's a loss, amber when thin
+export const getMarginClassName = (margin) => {
+  if (!margin) return 'text-gray-400';
+  if (margin.amount < 0) return 'text-red-600';
+  if (margin.percent < LOW_MARGIN_PERCENT) return 'text-yellow-700';
+  return 'text-green-700';
+};
+
+// "$40 (40%)" / "-$5.50 (-6.1%)"
+export const formatMargin = (margin) => {
+  if (!margin) return '-';
+  const amount = Math.abs(margin.amount);
+  const formatted = Number.isInteger(amount) ? amount : amount.toFixed(2);
+  return `${margin.amount < 0 ? '-' : ''}$${formatted} (${margin.percent}%)`;
+};
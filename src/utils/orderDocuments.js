@@ -0,0 +1,214 @@
+// orderDocuments.js
+// Developer: Greenshoes Team
+// Generates printable order documents - invoices and packing slips - as print-ready HTML
+// Opens them in a new window and brings up the browser print dialog (which can also "Save as PDF")
+// Went with plain HTML over a PDF library - no extra dependency and the browser's PDF output looks just as good
+//
+// REQUIREMENTS SUPPORTED:
+// - "Display the order ID, shoe color, size, billing address, shipping address, and total amount" - on the invoice
+// - "Flat shipping rate of $11.95" and "Tax of 6% per product" - shown in the invoice price breakdown
+// - "Luxury shoe e-commerce platform" - documents carry the same GREENSHOES header as the admin panel
+
+
+
+import { formatAddressLines, formatCardLast4 } from './addresses';
+
+// Document types - packing slips go in the box, so they never show prices
+export const DOCUMENT_TYPES = {
+  INVOICE: 'invoice',
+  PACKING_SLIP: 'packing_slip',
+};
+
+// Escape anything that ends up inside the HTML - customer names/addresses are user input
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Same money/date formatting as the Order Management page
+const formatCurrency = (amount) => parseFloat(amount || 0).toFixed(2);
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: 'numeric' });
+};
+
+// Address block as HTML lines - skips whatever parts are missing
+const renderAddress = (address) => {
+  if (!address) return '<p class="muted">Not provided</p>';
+  return `<p>${formatAddressLines(address).map(escapeHtml).join('<br />')}</p>`;
+};
+
+// Branded header - mirrors the AdminLayout header (dark primary bar, Cinzel Decorative logo, Playfair tagline)
+const renderHeader = (title) => `
+  <header class="brand">
+    <h1>GREENSHOES</h1>
+    <p class="tagline">SCULPTED BY THE SEA</p>
+  </header>
+  <h2 class="doc-title">${escapeHtml(title)}</h2>
+`;
+
+// Order ID / number / date block at the top of every document
+const renderOrderMeta = (order) => `
+  <table class="meta">
+    <tr><th>Order ID</th><td class="mono">${escapeHtml(order.order_id || order.id)}</td></tr>
+    <tr><th>Order Number</th><td>${escapeHtml(order.order_number || '-')}</td></tr>
+    <tr><th>Date</th><td>${escapeHtml(formatDate(order.order_date || order.created_at))}</td></tr>
+  </table>
+`;
+
+// Invoice - everything the customer paid for, including the tax and flat shipping
+const renderInvoice = (order) => {
+  const breakdown = order.price_breakdown || {};
+  const items = order.items || [];
+  return `
+    <section class="document">
+      ${renderHeader('Invoice')}
+      ${renderOrderMeta(order)}
+      <div class="addresses">
+        <div>
+          <h3>Customer</h3>
+          <p>${escapeHtml(order.customer_info?.name || order.customer_name)}<br />
+          <span class="muted">${escapeHtml(order.customer_info?.email || order.customer_email)}</span></p>
+        </div>
+        <div>
+          <h3>Bill To</h3>
+          ${renderAddress(order.billing_address)}
+          ${order.billing_address?.card_last4 ? `<p class="muted">Card ${escapeHtml(formatCardLast4(order.billing_address.card_last4))}</p>` : ''}
+        </div>
+        <div>
+          <h3>Ship To</h3>
+          ${renderAddress(order.shipping_address)}
+        </div>
+      </div>
+      <table class="items">
+        <thead>
+          <tr><th>Item</th><th>Color</th><th>Size</th><th class="num">Qty</th><th class="num">Unit Price</th><th class="num">Amount</th></tr>
+        </thead>
+        <tbody>
+          ${items.map(item => `
+            <tr>
+              <td>${escapeHtml(item.name)}</td>
+              <td class="capitalize">${escapeHtml(item.color)}</td>
+              <td>${escapeHtml(item.size)}</td>
+              <td class="num">${escapeHtml(item.quantity)}</td>
+              <td class="num">$${formatCurrency(item.price)}</td>
+              <td class="num">$${formatCurrency(item.price * item.quantity)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <table class="totals">
+        <tr><th>Subtotal</th><td>$${formatCurrency(breakdown.subtotal ?? order.subtotal)}</td></tr>
+        <tr><th>Tax</th><td>$${formatCurrency(breakdown.tax ?? order.tax)}</td></tr>
+        <tr><th>Shipping</th><td>$${formatCurrency(breakdown.shipping_fee ?? order.shipping_fee)}</td></tr>
+        <tr class="grand"><th>Total</th><td>$${formatCurrency(breakdown.total ?? order.total_amount)}</td></tr>
+      </table>
+      <p class="footer">Thank you for choosing GreenShoes - every pair is crafted from reclaimed ocean plastic.</p>
+    </section>
+  `;
+};
+
+// Packing slip - what's in the box and where it's going, no prices anywhere
+const renderPackingSlip = (order) => {
+  const items = order.items || [];
+  return `
+    <section class="document">
+      ${renderHeader('Packing Slip')}
+      ${renderOrderMeta(order)}
+      <div class="addresses">
+        <div>
+          <h3>Ship To</h3>
+          ${renderAddress(order.shipping_address)}
+        </div>
+      </div>
+      <table class="items">
+        <thead>
+          <tr><th class="check"></th><th>Item</th><th>Color</th><th>Size</th><th class="num">Qty</th></tr>
+        </thead>
+        <tbody>
+          ${items.map(item => `
+            <tr>
+              <td class="check">&#9744;</td>
+              <td>${escapeHtml(item.name)}</td>
+              <td class="capitalize">${escapeHtml(item.color)}</td>
+              <td>${escapeHtml(item.size)}</td>
+              <td class="num">${escapeHtml(item.quantity)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="footer">Total pairs: ${items.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0)}</p>
+    </section>
+  `;
+};
+
+// Print styles - A4/Letter friendly, one document per page when several are printed together
+const DOCUMENT_STYLES = `
+  @page { margin: 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: 'Playfair Display', serif; color: #1a1a1a; margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .document { max-width: 760px; margin: 0 auto; padding: 24px 0; page-break-after: always; }
+  .document:last-child { page-break-after: auto; }
+  .brand { background: #1a1a1a; color: #fff; text-align: center; padding: 16px 0; }
+  .brand h1 { font-family: 'Cinzel Decorative', serif; font-size: 24px; letter-spacing: 0.1em; margin: 0; font-weight: 400; }
+  .brand .tagline { font-size: 11px; letter-spacing: 0.3em; color: #d1d5db; margin: 4px 0 0; }
+  .doc-title { text-align: center; font-weight: 400; font-size: 22px; margin: 24px 0 16px; letter-spacing: 0.05em; }
+  h3 { font-size: 14px; margin: 0 0 6px; }
+  p { margin: 0; font-size: 13px; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; font-size: 13px; }
+  .meta { margin-bottom: 20px; }
+  .meta th { text-align: left; color: #6b7280; font-weight: 400; width: 140px; padding: 2px 0; }
+  .mono { font-family: monospace; }
+  .addresses { display: flex; gap: 48px; border-top: 1px solid #e5e7eb; padding: 16px 0; }
+  .items { margin-top: 8px; }
+  .items th { text-align: left; background: #f9fafb; border-bottom: 1px solid #e5e7eb; padding: 8px; font-weight: 500; }
+  .items td { border-bottom: 1px solid #e5e7eb; padding: 8px; }
+  .num { text-align: right !important; }
+  .check { width: 32px; font-size: 18px; }
+  .capitalize { text-transform: capitalize; }
+  .totals { width: 280px; margin: 16px 0 0 auto; }
+  .totals th { text-align: left; color: #6b7280; font-weight: 400; padding: 4px 0; }
+  .totals td { text-align: right; padding: 4px 0; }
+  .totals .grand th, .totals .grand td { color: #1a1a1a; font-weight: 700; font-size: 16px; border-top: 1px solid #e5e7eb; padding-top: 8px; }
+  .muted { color: #6b7280; }
+  .footer { margin-top: 32px; text-align: center; color: #6b7280; font-size: 12px; }
+`;
+
+// Build the full HTML page for one or more orders
+// Several orders end up as one print job with a page break between them (handy for batches of packing slips)
+export const buildOrderDocumentHtml = (orders, type = DOCUMENT_TYPES.INVOICE) => {
+  const render = type === DOCUMENT_TYPES.PACKING_SLIP ? renderPackingSlip : renderInvoice;
+  const title = type === DOCUMENT_TYPES.PACKING_SLIP ? 'Packing Slip' : 'Invoice';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>GreenShoes ${title}${orders.length === 1 ? ` - ${escapeHtml(orders[0].order_number || orders[0].order_id)}` : 's'}</title>
+  <link href="https://fonts.googleapis.com/css2?family=Cinzel+Decorative:wght@400;700&family=Playfair+Display:wght@400;500;600;700&display=swap" rel="stylesheet">
+  <style>${DOCUMENT_STYLES}</style>
+</head>
+<body>
+  ${orders.map(render).join('')}
+</body>
+</html>`;
+};
+
+// Fill a window the caller opened with the documents and bring up the print dialog
+// The caller opens it (window.open('', '_blank')) straight from the click - browsers block window.open after an await,
+// so bulk printing opens the window first and fills it in once the order details have loaded
+// Returns false if the popup got blocked (printWindow is null) so the caller can tell the admin
+export const printOrderDocuments = (printWindow, orders, type = DOCUMENT_TYPES.INVOICE) => {
+  if (!printWindow) return false;
+  // Wait for the fonts to load, otherwise the header prints in the fallback serif font
+  // Set before writing - close() can fire load straight away and the handler would miss it
+  printWindow.onload = () => {
+    printWindow.focus();
+    printWindow.print();
+  };
+  printWindow.document.open();
+  printWindow.document.write(buildOrderDocumentHtml(orders, type));
+  printWindow.document.close();
+  return true;
+};
@@ -0,0 +1,113 @@
+// orderExport.js
+// Developer: Greenshoes Team
+// Builds the rows for the order export (CSV / XLSX) on the Order Management page
+// Two levels of detail: one row per order, or one row per line item for accounting's reconciliations
+//
+// REQUIREMENTS SUPPORTED:
+// - "Display the order ID, shoe color, size, billing address, shipping address, and total amount" - all exported
+// - "Flat shipping rate of $11.95" and "Tax of 6% per product" - exported straight from price_breakdown
+
+
+
+import { downloadCsv, downloadXlsx, fileDateStamp } from './spreadsheet';
+import { formatAddressLines } from './addresses';
+
+// Order-level columns - shared by both export levels
+const ORDER_COLUMNS = [
+  { key: 'order_id', label: 'Order ID' },
+  { key: 'order_number', label: 'Order Number' },
+  { key: 'date', label: 'Date' },
+  { key: 'status', label: 'Status' },
+  { key: 'customer_type', label: 'Customer Type' },
+  { key: 'customer_name', label: 'Customer Name' },
+  { key: 'customer_email', label: 'Customer Email' },
+  { key: 'shipping_address', label: 'Shipping Address' },
+  { key: 'billing_address', label: 'Billing Address' },
+  { key: 'card_last4', label: 'Card Last 4' },
+];
+
+// Money columns - always taken from price_breakdown, with the flat fields as a fallback for older orders
+const TOTAL_COLUMNS = [
+  { key: 'subtotal', label: 'Subtotal' },
+  { key: 'tax', label: 'Tax' },
+  { key: 'shipping_fee', label: 'Shipping Fee' },
+  { key: 'total', label: 'Total' },
+];
+
+// Line item columns - only in the per-item export
+const ITEM_COLUMNS = [
+  { key: 'item_name', label: 'Item' },
+  { key: 'item_color', label: 'Color' },
+  { key: 'item_size', label: 'Size' },
+  { key: 'item_quantity', label: 'Quantity' },
+  { key: 'item_price', label: 'Unit Price' },
+  { key: 'item_line_total', label: 'Line Total' },
+];
+
+// Export levels offered in the UI
+export const EXPORT_LEVELS = {
+  ORDER: 'order',
+  ITEM: 'item',
+};
+
+// Round to cents and keep it a number so spreadsheets can sum the column
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Single-line address for a spreadsheet cell
+const formatAddress = (address) => formatAddressLines(address).join(', ');
+
+// Fields every exported row has, whatever the level
+const buildOrderFields = (order) => ({
+  order_id: order.order_id || order.id,
+  order_number: order.order_number || '',
+  // ISO date (YYYY-MM-DD) so spreadsheets sort it correctly - the UI's DD/MM/YYYY doesn't
+  date: (order.order_date || order.created_at || '').slice(0, 10),
+  status: order.status || '',
+  customer_type: order.customer_type || '',
+  customer_name: order.customer_info?.name || order.customer_name || '',
+  customer_email: order.customer_info?.email || order.customer_email || '',
+  // Falls back to the shipping_location string the list endpoint sends
+  shipping_address: formatAddress(order.shipping_address) || order.shipping_location || '',
+  billing_address: formatAddress(order.billing_address),
+  card_last4: order.billing_address?.card_last4 || '',
+  subtotal: toAmount(order.price_breakdown?.subtotal ?? order.subtotal),
+  tax: toAmount(order.price_breakdown?.tax ?? order.tax),
+  shipping_fee: toAmount(order.price_breakdown?.shipping_fee ?? order.shipping_fee),
+  total: toAmount(order.price_breakdown?.total ?? order.total_amount),
+});
+
+// Turn orders into export rows + the matching column list
+// In the per-item export the order totals are repeated on each item row - that way filtering the sheet
+// by item never loses the order context. Sum the totals per unique Order ID, not per row.
+export const buildOrderExportRows = (orders, level = EXPORT_LEVELS.ORDER) => {
+  if (level === EXPORT_LEVELS.ITEM) {
+    const rows = orders.flatMap(order => {
+      const orderFields = buildOrderFields(order);
+      // Orders without items still get one row so they don't silently vanish from the export
+      if (!order.items?.length) return [orderFields];
+      return order.items.map(item => ({
+        ...orderFields,
+        item_name: item.name || '',
+        item_color: item.color || '',
+        item_size: item.size ?? '',
+        item_quantity: parseInt(item.quantity) || 0,
+        item_price: toAmount(item.price),
+        item_line_total: toAmount(parseFloat(item.price || 0) * (parseInt(item.quantity) || 0)),
+      }));
+    });
+    return { rows, columns: [...ORDER_COLUMNS, ...ITEM_COLUMNS, ...TOTAL_COLUMNS] };
+  }
+
+  return { rows: orders.map(buildOrderFields), columns: [...ORDER_COLUMNS, ...TOTAL_COLUMNS] };
+};
+
+// Build and download the export in the chosen format ('csv' or 'xlsx')
+export const exportOrders = async (orders, { level = EXPORT_LEVELS.ORDER, format = 'csv' } = {}) => {
+  const { rows, columns } = buildOrderExportRows(orders, level);
+  const filename = `greenshoes-orders${level === EXPORT_LEVELS.ITEM ? '-items' : ''}-${fileDateStamp()}.${format}`;
+  if (format === 'xlsx') {
+    await downloadXlsx(rows, columns, filename, 'Orders');
+  } else {
+    downloadCsv(rows, columns, filename);
+  }
+};
@@ -0,0 +1,107 @@
+// orderRefunds.js
+// Developer: Greenshoes Team
+// The refund/cancel + restock sequence, shared by the single-order RefundModal and the bulk cancel on the orders page
+// Order of operations matters: record the refund, restock, and only then cancel -
+// so a failed refund never leaves a cancelled-but-unrefunded order behind
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to update inventory in real-time with immediate user visibility" - restocked pairs are sellable right away
+// - "Tax of 6% shall be applied per product" - refunded tax uses the rate the order was actually charged
+
+
+
+import { ordersAPI, inventoryAPI } from '../services/api';
+
+// Fallback tax rate when the order doesn't have a usable price breakdown
+// REQUIREMENT: "Tax of 6% shall be applied per product"
+export const DEFAULT_TAX_RATE = 0.06;
+
+const formatCurrency = (amount) => parseFloat(amount || 0).toFixed(2);
+
+// How many of this item can still be refunded - anything refunded before is taken off
+export const getRefundableQuantity = (item) => (parseInt(item.quantity) || 0) - (parseInt(item.refunded_quantity) || 0);
+
+// Tax rate the order was charged at - keeps refunds consistent with what the customer paid
+export const getOrderTaxRate = (order) => {
+  const subtotal = parseFloat(order.price_breakdown?.subtotal ?? order.subtotal) || 0;
+  const tax = parseFloat(order.price_breakdown?.tax ?? order.tax) || 0;
+  return subtotal > 0 ? tax / subtotal : DEFAULT_TAX_RATE;
+};
+
+export const getOrderShippingFee = (order) => parseFloat(order.price_breakdown?.shipping_fee ?? order.shipping_fee) || 0;
+
+// The backend sets shipping_refunded once a refund included the shipping fee - it only ever goes back once
+export const isShippingRefunded = (order) => !!order.shipping_refunded;
+
+// Refund breakdown for a set of lines - refundLines: [{ item, quantity, restock }]
+// Shipping is left out when it was already refunded, whatever refundShipping says
+export const calculateRefund = (order, refundLines, refundShipping) => {
+  const items = refundLines.reduce((sum, line) => sum + (parseFloat(line.item.price) || 0) * line.quantity, 0);
+  const tax = Math.round(items * getOrderTaxRate(order) * 100) / 100;
+  const shipping = refundShipping && !isShippingRefunded(order) ? getOrderShippingFee(order) : 0;
+  return { items, tax, shipping, total: Math.round((items + tax + shipping) * 100) / 100 };
+};
+
+// Every refundable line at full quantity, restocked - what a whole-order cancellation refunds
+export const getFullRefundLines = (order) => (order.items || [])
+  .filter(item => getRefundableQuantity(item) > 0)
+  .map(item => ({ item, quantity: getRefundableQuantity(item), restock: true }));
+
+// Whether a whole-order cancellation sends the shipping fee back by default -
+// not when it already went back, and not on its own when there are no items left to refund
+// Used by the Cancel Order modal (checkbox default) and the bulk cancel
+export const shouldRefundShippingOnCancel = (order) => !isShippingRefunded(order) && getFullRefundLines(order).length > 0;
+
+// Record the refund, restock the chosen lines, then cancel the order if asked
+// Returns a list of { label, success, error } - one per step - so the UI can show exactly what happened
+// Throws only if recording the refund itself fails (nothing else has happened at that point)
+// With nothing to refund (everything refunded already, or no items) it goes straight to the cancel
+// admin: the logged-in admin (useAdminAuth().admin) - recorded on the restock adjustments
+export const processRefund = async (order, { refundLines, reason, refundShipping = false, cancel = false, admin }) => {
+  const orderId = order.order_id || order.id;
+  const { shipping, total: amount } = calculateRefund(order, refundLines, refundShipping);
+  const outcome = [];
+
+  // 1. Record the refund against the order
+  if (refundLines.length > 0 || shipping > 0) {
+    await ordersAPI.refund(orderId, {
+      items: refundLines.map(({ item, quantity }) => ({ item_id: item.order_item_id || item.id, quantity })),
+      amount,
+      reason,
+      restocked: refundLines.some(line => line.restock),
+      // Marks the order's shipping as refunded so a later refund/cancel can't send it back again
+      shipping_refunded: shipping > 0,
+    });
+    outcome.push({ label: `Refund of $${formatCurrency(amount)} recorded`, success: true });
+  }
+
+  // 2. Put the stock back one line at a time - one missing variant shouldn't block the rest
+  for (const { item, quantity } of refundLines.filter(line => line.restock)) {
+    const label = `Restock ${quantity} × ${item.name} (${item.color} / ${item.size})`;
+    try {
+      if (!item.product_id) throw new Error('Order item has no product reference');
+      await inventoryAPI.restock(item.product_id, {
+        size: item.size,
+        color: item.color,
+        quantity,
+        // Shows up in the variant's adjustment history so the extra stock can be traced back to the order
+        note: `Refund on order ${order.order_number || orderId}${reason ? ` - ${reason}` : ''}`,
+      }, admin);
+      outcome.push({ label, success: true });
+    } catch (err) {
+      outcome.push({ label, success: false, error: err.response?.data?.error || err.message });
+    }
+  }
+
+  // 3. Cancel last
+  if (cancel) {
+    try {
+      await ordersAPI.updateStatus(orderId, 'CANCELLED');
+      outcome.push({ label: 'Order cancelled', success: true });
+    } catch (err) {
+      outcome.push({ label: 'Cancel order', success: false, error: err.response?.data?.error || err.message });
+    }
+  }
+
+  return outcome;
+};
@@ -0,0 +1,85 @@
+// productFilters.js
+// Developer: Greenshoes Team
+// Search, filters and sorting for the products table
+// The products endpoint returns the whole catalogue in one go, so this all happens in the browser -
+// the values come from the URL query string (see ProductManagement) so a filtered view can be shared
+//
+// REQUIREMENTS SUPPORTED:
+// - "Single admin interface for product, inventory, and impact management" - find products quickly once the catalogue grows
+// - "Admin to update inventory in real-time with immediate user visibility" - stock level filter for what needs attention
+
+
+
+import { SALE_STATUS, getSaleStatus } from './sales';
+import { STOCK_LEVELS } from './stockLevels';
+import { getProductStatus } from './productStatus';
+import { calculateMargin } from './margins';
+import { getCategoryWithChildren } from './categories';
+
+// Query string keys - same list drives the filter bar, the URL and "Clear Filters"
+export const PRODUCT_FILTER_KEYS = ['search', 'status', 'category', 'sale', 'stock', 'min_price', 'max_price'];
+
+// Stock level filter options - a product is "low" when any of its sizes/colors is at or below its reorder threshold
+export const STOCK_FILTER_OPTIONS = [
+  { value: STOCK_LEVELS.OUT, label: 'Out of stock' },
+  { value: STOCK_LEVELS.LOW, label: 'Low stock' },
+  { value: STOCK_LEVELS.IN, label: 'In stock' },
+];
+
+// Sortable columns - value is what goes in ?sort_by=
+export const PRODUCT_SORT_FIELDS = {
+  name: (p) => (p.name || '').toLowerCase(),
+  status: (p) => getProductStatus(p),
+  category: (p) => p.category || '',
+  total_stock: (p) => parseInt(p.total_stock) || 0,
+  cost_price: (p) => parseFloat(p.cost_price) || 0,
+  selling_price: (p) => getCurrentPrice(p),
+  margin: (p) => calculateMargin(p.selling_price, p.cost_price)?.percent ?? -Infinity,
+};
+
+// What a customer pays right now - the price range filter and the price sort use this
+export const getCurrentPrice = (product) => (
+  getSaleStatus(product) === SALE_STATUS.ACTIVE ? parseFloat(product.sale_price) : parseFloat(product.selling_price) || 0
+);
+
+// Whole-product stock level - sold out overall, or at least one size/color at/below its threshold
+// lowStockCounts is the { product id -> { low, out } } map the table badges already use
+export const getProductStockLevel = (product, lowStockCounts = {}) => {
+  if ((parseInt(product.total_stock) || 0) <= 0) return STOCK_LEVELS.OUT;
+  const alerts = lowStockCounts[product.id];
+  if (alerts && (alerts.low > 0 || alerts.out > 0)) return STOCK_LEVELS.LOW;
+  return STOCK_LEVELS.IN;
+};
+
+// filters: { search, status, category, sale, stock, min_price, max_price } - empty values are ignored
+// categories (from categoriesAPI) lets a parent category match its subcategories' products too
+export const filterProducts = (products, filters, lowStockCounts = {}, categories = []) => {
+  const term = (filters.search || '').trim().toLowerCase();
+  const categoryNames = filters.category ? getCategoryWithChildren(filters.category, categories) : [];
+  const minPrice = parseFloat(filters.min_price);
+  const maxPrice = parseFloat(filters.max_price);
+  return products.filter(product => {
+    if (term && !`${product.name || ''} ${product.description || ''}`.toLowerCase().includes(term)) return false;
+    if (filters.status && getProductStatus(product) !== filters.status) return false;
+    if (filters.category && !categoryNames.includes(product.category)) return false;
+    if (filters.sale && getSaleStatus(product) !== filters.sale) return false;
+    if (filters.stock && getProductStockLevel(product, lowStockCounts) !== filters.stock) return false;
+    if (Number.isFinite(minPrice) && getCurrentPrice(product) < minPrice) return false;
+    if (Number.isFinite(maxPrice) && getCurrentPrice(product) > maxPrice) return false;
+    return true;
+  });
+};
+
+// Returns a new array - unknown sort fields leave the API order alone
+export const sortProducts = (products, sortBy, sortOrder = 'asc') => {
+  const getValue = PRODUCT_SORT_FIELDS[sortBy];
+  if (!getValue) return products;
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  return products.slice().sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (valueA < valueB) return -1 * direction;
+    if (valueA > valueB) return 1 * direction;
+    return 0;
+  });
+};
@@ -0,0 +1,39 @@
+// productImages.js
+// Developer: Greenshoes Team
+// Helpers for product images - building URLs and reading tags out of our file naming convention
+// Moved getImageUrl here from ProductManagement.jsx once the image gallery manager needed it too
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add items in the inventory with multiple pictures"
+// - "Each product shall allow display of multiple photos from different angles/colors"
+
+
+
+// Base URL for images - strips /api from the API URL since images are served from root
+// Falls back to localhost for local development
+const API_BASE = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:4000';
+
+export const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/100x100?text=No+Image';
+
+// Helper function to build full image URLs
+// Handles various cases: no image, already full URL, or relative path
+// REQUIREMENT: "display of multiple photos from different angles/colors" - this helps display them
+export const getImageUrl = (imagePath) => {
+  if (!imagePath) return PLACEHOLDER_IMAGE;
+  if (imagePath.startsWith('http')) return imagePath; // Already a full URL
+  return `${API_BASE}${imagePath}`; // Prepend our base URL to relative paths
+};
+
+// View angles an image can be tagged with - the storefront shows them in this order
+export const VIEW_ANGLES = ['front', 'side', 'back', 'top', 'sole', 'detail'];
+
+// Pull color + view out of "productname-color-view.png" (e.g. siren-red-side.png -> red / side)
+// Product names can have dashes of their own, so read from the end: last part is the view, the one before is the color
+// Works on full URLs/paths too, and ignores any "-1699999999" upload timestamp the backend tacks on
+// Returns { color, view } - either can be '' if the name doesn't follow the convention
+export const parseImageFileName = (fileName) => {
+  const base = (fileName || '').split(/[\\/]/).pop().replace(/\.[a-z0-9]+$/i, '').toLowerCase();
+  const parts = base.split('-').filter(part => part && !/^\d{10,}$/.test(part));
+  if (parts.length < 3) return { color: '', view: '' };
+  return { color: parts[parts.length - 2], view: parts[parts.length - 1] };
+};
@@ -0,0 +1,149 @@
+// productImport.js
+// Developer: Greenshoes Team
+// Turns an import spreadsheet (one row per product + color + size) into products ready for productsAPI.create
+// Rows are grouped by product name, then by color, into the same `variants` shape handleAddProduct sends:
+//   [{ color: 'navy', sizes: [{ value: '7', quantity: 12 }, ...] }, ...]
+// Everything is checked up front (dry run) so a bad row never leaves a half-imported collection behind
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add items in the inventory with multiple pictures" - products come in without images, pictures are added via Edit
+// - "Admin to add or modify the quantities of items in the inventory per size and color" - one row per size/color
+// - "Inventory quantity shall never BE negative" - negative quantities are rejected here
+
+
+
+import { PRODUCT_STATUS } from './productStatus';
+import { normalizeColorName } from './colors';
+
+// Columns the import understands - also used for the downloadable template
+export const IMPORT_COLUMNS = [
+  { key: 'name', label: 'name' },
+  { key: 'description', label: 'description' },
+  { key: 'category', label: 'category' },
+  { key: 'cost_price', label: 'cost_price' },
+  { key: 'selling_price', label: 'selling_price' },
+  { key: 'color', label: 'color' },
+  { key: 'size', label: 'size' },
+  { key: 'quantity', label: 'quantity' },
+];
+
+// Example rows for the template - one product in two colors
+export const IMPORT_TEMPLATE_ROWS = [
+  { name: 'Coral Reef Runner', description: 'Lightweight knit sneaker', category: 'sneakers', cost_price: '45', selling_price: '120', color: 'navy', size: '7', quantity: '10' },
+  { name: 'Coral Reef Runner', description: 'Lightweight knit sneaker', category: 'sneakers', cost_price: '45', selling_price: '120', color: 'navy', size: '8', quantity: '12' },
+  { name: 'Coral Reef Runner', description: 'Lightweight knit sneaker', category: 'sneakers', cost_price: '45', selling_price: '120', color: 'white', size: '7', quantity: '6' },
+];
+
+// Product-level fields - repeated on every row of a product, only needs to be filled in once
+const PRODUCT_FIELDS = ['description', 'category', 'cost_price', 'selling_price'];
+
+// Prices must be plain positive numbers - "$120" or "120,00" get flagged rather than guessed at
+const isValidPrice = (value) => /^\d+(\.\d{1,2})?$/.test(value) && parseFloat(value) > 0;
+
+// Group + validate the parsed rows
+// rows: output of readSpreadsheetFile, categories: allowed category values, existingNames: names already in the store
+// colors: the color catalog from colorsAPI.getAll - a row's color has to be one of these, same as the swatch picker
+// Returns one entry per product: { name, ...fields, variants, rows, errors, warnings }
+// A product with any errors is skipped on import; warnings are just shown
+export const buildImportPreview = (rows, { categories = [], existingNames = [], colors = [] } = {}) => {
+  const products = new Map();
+  const existing = new Set(existingNames.map(name => name.trim().toLowerCase()));
+
+  rows.forEach((row, idx) => {
+    // +2: spreadsheet rows start at 1 and the first one is the header
+    const rowNumber = idx + 2;
+    const name = row.name || row.product_name || '';
+    // Rows without a name can't be grouped - they become their own "product" so the error is still listed
+    const key = name.trim().toLowerCase() || `__row-${rowNumber}`;
+
+    if (!products.has(key)) {
+      products.set(key, {
+        name,
+        description: '',
+        category: '',
+        cost_price: '',
+        selling_price: '',
+        variants: [],
+        rows: [],
+        errors: [],
+        warnings: [],
+      });
+    }
+    const product = products.get(key);
+    product.rows.push(rowNumber);
+
+    if (!name) {
+      product.errors.push(`Row ${rowNumber}: missing name`);
+      return;
+    }
+
+    // Product-level fields - first value wins, a different value later on is flagged
+    PRODUCT_FIELDS.forEach(field => {
+      const value = field === 'category' ? (row[field] || '').toLowerCase() : (row[field] || '');
+      if (!value) return;
+      if (!product[field]) product[field] = value;
+      else if (product[field] !== value) product.errors.push(`Row ${rowNumber}: ${field} "${value}" differs from "${product[field]}" on an earlier row`);
+    });
+
+    // Variant fields
+    // const color = (row.color || '').toLowerCase();
+    // Lowercasing alone let "nvay" or "navy " through as brand new colors - the import has to use catalog colors
+    // like the variant editor does, and sends the catalog's own name so "Navy" in the file becomes "navy"
+    const colorText = (row.color || '').trim();
+    const catalogColor = colors.find(c => normalizeColorName(c.name) === normalizeColorName(colorText));
+    const color = catalogColor ? catalogColor.name : '';
+    const size = row.size || '';
+    const quantityText = row.quantity || '0';
+    if (!colorText) product.errors.push(`Row ${rowNumber}: missing color`);
+    else if (!catalogColor) product.errors.push(`Row ${rowNumber}: unknown color "${colorText}" (add it on the Colors page first)`);
+    if (!size) product.errors.push(`Row ${rowNumber}: missing size`);
+    else if (!(parseFloat(size) > 0)) product.errors.push(`Row ${rowNumber}: size "${size}" is not a number`);
+    // REQUIREMENT: "Inventory quantity shall never BE negative"
+    if (!/^\d+$/.test(quantityText)) product.errors.push(`Row ${rowNumber}: quantity "${quantityText}" must be a whole number of 0 or more`);
+    if (!color || !(parseFloat(size) > 0) || !/^\d+$/.test(quantityText)) return;
+
+    let variant = product.variants.find(v => v.color === color);
+    if (!variant) {
+      variant = { color, sizes: [] };
+      product.variants.push(variant);
+    }
+    // Same color + size twice is almost always a copy/paste mistake - don't silently add them together
+    if (variant.sizes.some(s => parseFloat(s.value) === parseFloat(size))) {
+      product.errors.push(`Row ${rowNumber}: duplicate variant ${color} / size ${size}`);
+      return;
+    }
+    variant.sizes.push({ value: size, quantity: parseInt(quantityText) });
+  });
+
+  // Checks that need the whole product
+  products.forEach(product => {
+    if (!product.name) return;
+    if (!product.description) product.errors.push('Missing description');
+    if (!product.category) product.errors.push('Missing category');
+    else if (!categories.includes(product.category)) product.errors.push(`Unknown category "${product.category}" (expected ${categories.join(', ')})`);
+    if (!product.cost_price) product.errors.push('Missing cost_price');
+    else if (!isValidPrice(product.cost_price)) product.errors.push(`Bad cost_price "${product.cost_price}"`);
+    if (!product.selling_price) product.errors.push('Missing selling_price');
+    else if (!isValidPrice(product.selling_price)) product.errors.push(`Bad selling_price "${product.selling_price}"`);
+    if (isValidPrice(product.cost_price) && isValidPrice(product.selling_price) && parseFloat(product.selling_price) < parseFloat(product.cost_price)) {
+      product.warnings.push('Selling price is below cost price');
+    }
+    if (existing.has(product.name.trim().toLowerCase())) product.errors.push('A product with this name already exists');
+  });
+
+  return Array.from(products.values());
+};
+
+// FormData for productsAPI.create - same fields handleAddProduct sends, minus images
+// Imported products have no pictures yet, so they come in as drafts like any other new product
+export const buildImportFormData = (product) => {
+  const formData = new FormData();
+  formData.append('name', product.name);
+  formData.append('description', product.description);
+  formData.append('category', product.category);
+  formData.append('cost_price', product.cost_price);
+  formData.append('selling_price', product.selling_price);
+  formData.append('variants', JSON.stringify(product.variants));
+  formData.append('status', PRODUCT_STATUS.DRAFT);
+  return formData;
+};
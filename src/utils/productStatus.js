@@ -0,0 +1,32 @@
+// productStatus.js
+// Developer: Greenshoes Team
+// Product visibility - draft / published / hidden
+// New products start as drafts so half-finished ones (no images yet, variants still being added) never reach the storefront
+// Hidden is for products that were live and have been taken down for now (recall, photo reshoot, ...)
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to add items in the inventory with multiple pictures" - add the pictures first, publish when it's ready
+// - "Single admin interface for product, inventory, and impact management"
+
+
+
+export const PRODUCT_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  HIDDEN: 'hidden',
+};
+
+// Badge text + colours per status, in the order they appear in the filter and status dropdowns
+export const PRODUCT_STATUS_BADGES = {
+  [PRODUCT_STATUS.DRAFT]: { label: 'Draft', className: 'bg-yellow-100 text-yellow-800' },
+  [PRODUCT_STATUS.PUBLISHED]: { label: 'Published', className: 'bg-green-100 text-green-700' },
+  [PRODUCT_STATUS.HIDDEN]: { label: 'Hidden', className: 'bg-gray-200 text-gray-600' },
+};
+
+// Products created before statuses existed have none - they were already live, so treat them as published
+export const getProductStatus = (product) => (
+  PRODUCT_STATUS_BADGES[product.status] ? product.status : PRODUCT_STATUS.PUBLISHED
+);
+
+// Only published products show up for customers
+export const isVisibleToCustomers = (product) => getProductStatus(product) === PRODUCT_STATUS.PUBLISHED;
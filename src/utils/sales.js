@@ -0,0 +1,57 @@
+// sales.js
+// Developer: Greenshoes Team
+// Sale scheduling helpers - a sale can now have an optional start and end date/time
+// No start = starts straight away, no end = runs until someone ends it (the old behaviour)
+// The backend switches the sale price on/off at those times - these helpers just work out what state a product is in
+//
+// REQUIREMENTS SUPPORTED:
+// - "Administrator to place items in the inventory on sale"
+// - "Emphasize 'on Sale' items in the landing page" - only ACTIVE sales get the SALE badge/strike-through treatment
+
+
+
+export const SALE_STATUS = {
+  NONE: 'none',
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  EXPIRED: 'expired',
+};
+
+// Badge text + colours per status - shared by the products table and the sale calendar
+export const SALE_STATUS_BADGES = {
+  [SALE_STATUS.NONE]: { label: 'Regular', className: 'bg-gray-100 text-gray-500' },
+  [SALE_STATUS.SCHEDULED]: { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' },
+  [SALE_STATUS.ACTIVE]: { label: 'On Sale', className: 'bg-red-100 text-red-700' },
+  [SALE_STATUS.EXPIRED]: { label: 'Expired', className: 'bg-gray-200 text-gray-600' },
+};
+
+// Where a product's sale stands right now
+// Products from before scheduling only have on_sale + sale_price - those are ACTIVE or NONE as before
+export const getSaleStatus = (product, now = new Date()) => {
+  if (!product.sale_price) return SALE_STATUS.NONE;
+  const startsAt = product.sale_starts_at ? new Date(product.sale_starts_at) : null;
+  const endsAt = product.sale_ends_at ? new Date(product.sale_ends_at) : null;
+  if (endsAt && endsAt <= now) return SALE_STATUS.EXPIRED;
+  if (startsAt && startsAt > now) return SALE_STATUS.SCHEDULED;
+  if (product.on_sale || startsAt || endsAt) return SALE_STATUS.ACTIVE;
+  return SALE_STATUS.NONE;
+};
+
+// ISO string -> value for <input type="datetime-local"> (local time, no seconds)
+export const toDateTimeInput = (isoString) => {
+  if (!isoString) return '';
+  const date = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// <input type="datetime-local"> value -> ISO string for the API (null when empty)
+export const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// DD/MM/YYYY HH:MM - same style as the order timeline
+export const formatSaleDate = (isoString) => {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString('en-GB', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+};
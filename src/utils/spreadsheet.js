@@ -0,0 +1,138 @@
+// spreadsheet.js
+// Developer: Greenshoes Team
+// Small helpers for turning rows into CSV / XLSX files and downloading them from the browser
+// Kept generic on purpose - the order export uses these, and anything else that needs a spreadsheet can too
+//
+// REQUIREMENT SUPPORTED: "Single admin interface for product, inventory, and impact management"
+// Accounting used to copy order data out of the tables by hand - this is what replaces that
+
+
+
+// Spreadsheet apps treat cells starting with these characters as formulas
+// A customer could put "=HYPERLINK(...)" in their name, so text cells get a leading quote to neutralise that
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+// Make a single value safe for a CSV cell
+// Numbers are left alone so they stay numeric when opened in Excel
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (FORMULA_PREFIXES.includes(text.charAt(0))) text = `'${text}`;
+  // Quote anything with commas, quotes or line breaks - and double up any quotes inside
+  if (/[",\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+// Convert an array of row objects into CSV text
+// columns: [{ key, label }] - controls the order and header names
+export const toCsv = (rows, columns) => {
+  const header = columns.map(col => escapeCsvValue(col.label)).join(',');
+  const lines = rows.map(row => columns.map(col => escapeCsvValue(row[col.key])).join(','));
+  // CRLF line endings because that's what Excel expects
+  return [header, ...lines].join('\r\n');
+};
+
+// Trigger a browser download for a Blob
+// Creates a temporary link, clicks it, then cleans up the object URL
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Download rows as a .csv file
+// The BOM at the start makes Excel read it as UTF-8 (otherwise accented names come out garbled)
+export const downloadCsv = (rows, columns, filename) => {
+  const blob = new Blob(['\uFEFF', toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, filename);
+};
+
+// Download rows as a .xlsx file
+// exceljs is a big library so it's loaded on demand - only admins who actually export pay for it
+// (was the npm "xlsx" package - that one stopped getting updates at 0.18.5 and has open prototype-pollution/ReDoS CVEs,
+// which matters because we also parse files people upload with it)
+export const downloadXlsx = async (rows, columns, filename, sheetName = 'Sheet1') => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+  // Same column order/headers as the CSV export
+  worksheet.addRow(columns.map(col => col.label));
+  rows.forEach(row => worksheet.addRow(columns.map(col => row[col.key] ?? '')));
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBlob(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), filename);
+};
+
+// Split CSV text into rows of cells - handles quoted cells with commas, doubled quotes and line breaks
+// Every value stays text - otherwise long tracking numbers turn into 9.4001E+21
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');  // BOM from Excel's "CSV UTF-8"
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else cell += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// First sheet of an .xlsx as rows of cell text (cell.text is what Excel displays, so numbers stay as typed)
+const readXlsxRows = async (file) => {
+  const { default: ExcelJS } = await import('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= row.cellCount; col++) cells.push(row.getCell(col).text ?? '');
+    rows.push(cells);
+  });
+  return rows;
+};
+
+// Read an uploaded CSV or XLSX file into row objects keyed by header
+// Headers are normalised ("Order ID" -> "order_id") so people don't have to match our exact spelling
+// Blank rows are skipped, missing cells come back as ''
+export const readSpreadsheetFile = async (file) => {
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  const [headerRow = [], ...dataRows] = isCsv ? parseCsv(await file.text()) : await readXlsxRows(file);
+  const keys = headerRow.map(header => String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+  return dataRows
+    .filter(cells => cells.some(value => String(value ?? '').trim() !== ''))
+    .map(cells => Object.fromEntries(
+      keys.map((key, idx) => [key, String(cells[idx] ?? '').trim()]).filter(([key]) => key)
+    ));
+};
+
+// Today's date as YYYY-MM-DD - used in export file names so monthly exports sort nicely
+export const fileDateStamp = () => new Date().toISOString().slice(0, 10);
@@ -0,0 +1,40 @@
+// stockLevels.js
+// Developer: Greenshoes Team
+// Reorder thresholds - when a size/color gets down to its threshold it's "low stock" and needs reordering
+// Each variant can have its own threshold; if it doesn't, its category's default applies, and failing that DEFAULT_REORDER_THRESHOLD
+//
+// REQUIREMENTS SUPPORTED:
+// - "Admin to update inventory in real-time with immediate user visibility" - low stock shows up as soon as quantities change
+// - "Update the quantity of items in each size as sales are performed" - thresholds are what turn those sales into a reorder signal
+
+
+
+// Used when neither the variant nor its category has a threshold set
+export const DEFAULT_REORDER_THRESHOLD = 5;
+
+// Stock levels - shared by the badges in the products table, the inventory grid and the Low Stock page
+export const STOCK_LEVELS = {
+  OUT: 'out',
+  LOW: 'low',
+  IN: 'in',
+};
+
+// Threshold a category's variants fall back to
+export const getCategoryThreshold = (category, categoryDefaults = {}) => {
+  const value = categoryDefaults[category];
+  return value === undefined || value === null || value === '' ? DEFAULT_REORDER_THRESHOLD : parseInt(value);
+};
+
+// Effective threshold for one variant - its own if set, otherwise the category default
+export const getVariantThreshold = (variant, category, categoryDefaults = {}) => {
+  const own = variant.reorder_threshold;
+  return own === undefined || own === null || own === '' ? getCategoryThreshold(category, categoryDefaults) : parseInt(own);
+};
+
+// "At or below" counts as low - a threshold of 3 means reorder when there are 3 left
+export const getStockLevel = (quantity, threshold) => {
+  const qty = parseInt(quantity) || 0;
+  if (qty <= 0) return STOCK_LEVELS.OUT;
+  if (qty <= threshold) return STOCK_LEVELS.LOW;
+  return STOCK_LEVELS.IN;
+};